@@ -0,0 +1,140 @@
+const { db } = require('./database');
+const notificationService = require('./notification-service');
+
+// Badge definitions. Each is unlocked once the user's `metric` (a key of
+// db.getAchievementStats) reaches `target`; the unlock is stored in
+// user_achievements and never taken back, even if the metric later drops.
+const ACHIEVEMENTS = [
+  {
+    id: 'first_help',
+    name: 'First Helper',
+    description: 'Offered help for the first time',
+    icon: '🤝',
+    metric: 'peopleHelped',
+    target: 1
+  },
+  {
+    id: 'helper_5',
+    name: 'Community Helper',
+    description: 'Helped 5 different people',
+    icon: '⭐',
+    metric: 'peopleHelped',
+    target: 5
+  },
+  {
+    id: 'helper_25',
+    name: 'Super Helper',
+    description: 'Helped 25 different people',
+    icon: '🌟',
+    metric: 'peopleHelped',
+    target: 25
+  },
+  {
+    id: 'finisher',
+    name: 'Finisher',
+    description: 'Saw a request through to completion',
+    icon: '✅',
+    metric: 'helpsCompleted',
+    target: 1
+  },
+  {
+    id: 'streak_1',
+    name: 'Week Warrior',
+    description: 'Maintained a 1-week helping streak',
+    icon: '🔥',
+    metric: 'currentStreak',
+    target: 1
+  },
+  {
+    id: 'streak_4',
+    name: 'Monthly Champion',
+    description: 'Maintained a 4-week helping streak',
+    icon: '🏆',
+    metric: 'currentStreak',
+    target: 4
+  },
+  {
+    id: 'points_100',
+    name: 'Point Collector',
+    description: 'Earned 100 community points',
+    icon: '💎',
+    metric: 'communityPoints',
+    target: 100
+  },
+  {
+    id: 'requester',
+    name: 'Help Seeker',
+    description: 'Made your first help request',
+    icon: '🙋‍♂️',
+    metric: 'requestsMade',
+    target: 1
+  }
+];
+
+class AchievementService {
+  constructor() {
+    this.achievements = ACHIEVEMENTS;
+  }
+
+  /**
+   * Record any badges a user has newly unlocked. Runs after the actions that
+   * move the metrics (request created, help offered, help completed).
+   * @param {string} userId - User to evaluate
+   * @param {Object} options - { notify: send a notification per new badge (default true) }
+   * @returns {Promise<Array>} Definitions of the newly earned badges, with earnedAt
+   */
+  async evaluate(userId, { notify = true } = {}) {
+    const stats = await db.getAchievementStats(userId);
+    const unlocked = ACHIEVEMENTS.filter(achievement => stats[achievement.metric] >= achievement.target);
+    if (unlocked.length === 0) return [];
+
+    // Concurrent evaluations can't both win: only the insert that lands returns a row
+    const awarded = await db.awardAchievements(userId, unlocked.map(achievement => achievement.id));
+    const earned = awarded.map(row => ({
+      ...ACHIEVEMENTS.find(achievement => achievement.id === row.achievement_id),
+      earnedAt: row.earned_at
+    }));
+
+    if (notify) {
+      for (const achievement of earned) {
+        try {
+          await notificationService.notifyAchievementEarned(userId, achievement);
+        } catch (error) {
+          console.error('Failed to deliver achievement notification to ' + userId + ':', error.message);
+        }
+      }
+    }
+
+    return earned;
+  }
+
+  /**
+   * Every badge with the user's progress and, once unlocked, when
+   * @param {string} userId - User to report on
+   * @returns {Promise<Array>} One entry per definition
+   */
+  async getAchievements(userId) {
+    // Catches badges a background evaluation missed; no notification for
+    // those, since the user is looking at them now
+    await this.evaluate(userId, { notify: false });
+
+    const [stats, rows] = await Promise.all([
+      db.getAchievementStats(userId),
+      db.getUserAchievements(userId)
+    ]);
+    const earnedAt = new Map(rows.map(row => [row.achievement_id, row.earned_at]));
+
+    return ACHIEVEMENTS.map(({ metric, ...achievement }) => {
+      const earned = earnedAt.has(achievement.id);
+      return {
+        ...achievement,
+        condition: earned,
+        progress: earned ? achievement.target : Math.min(stats[metric], achievement.target),
+        earned,
+        earnedAt: earned ? earnedAt.get(achievement.id).toISOString() : null
+      };
+    });
+  }
+}
+
+module.exports = new AchievementService();
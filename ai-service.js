@@ -1,14 +1,94 @@
-const Anthropic = require('@anthropic-ai/sdk');
+const { db } = require('./database');
+const { createProvider } = require('./llm-provider');
+const { extractJSON, validate, repair } = require('./structured-output');
+
+const AI_METHODS = [
+  'categorizeRequest',
+  'performSafetyCheck',
+  'improveRequest',
+  'generateNotification',
+  'chatAssistant',
+  'detectDuplicates',
+  'generateWeeklySummary'
+];
+
+// How long a spend total from the ledger is trusted before re-querying
+const SPEND_CACHE_MS = 60 * 1000;
+
+// Schemas for the methods that reply in JSON (see structured-output.js)
+function outputSchemas(categoryIds) {
+  return {
+    categorizeRequest: {
+      type: 'object',
+      required: ['category', 'suggestedTitle', 'estimatedTime', 'detectedUrgency', 'tags', 'safetyCheck'],
+      properties: {
+        category: { type: 'string', enum: categoryIds },
+        suggestedTitle: { type: 'string', maxLength: 100 },
+        estimatedTime: { type: 'number', minimum: 1, maximum: 1440 },
+        detectedUrgency: { type: 'string', enum: ['Low', 'Medium', 'High', 'Urgent'] },
+        tags: { type: 'array', maxItems: 6, items: { type: 'string', maxLength: 40 } },
+        safetyCheck: { type: 'string', enum: ['safe', 'flagged'] },
+        safetyReason: { type: ['string', 'null'] }
+      }
+    },
+    performSafetyCheck: {
+      type: 'object',
+      required: ['isSafe'],
+      properties: {
+        isSafe: { type: 'boolean' },
+        flaggedCategory: { type: ['string', 'null'] },
+        reason: { type: ['string', 'null'] },
+        severity: { type: ['string', 'null'], enum: ['low', 'medium', 'high', null] }
+      }
+    },
+    improveRequest: {
+      type: 'object',
+      required: ['improvedTitle', 'improvedDescription', 'suggestions'],
+      properties: {
+        improvedTitle: { type: 'string', maxLength: 100 },
+        improvedDescription: { type: 'string', maxLength: 1000 },
+        suggestions: { type: 'array', maxItems: 5, items: { type: 'string' } }
+      }
+    },
+    detectDuplicates: {
+      type: 'array',
+      items: {
+        type: 'object',
+        required: ['requestIds', 'reason', 'confidence'],
+        properties: {
+          requestIds: { type: 'array', minItems: 2, items: { type: ['integer', 'string'] } },
+          reason: { type: 'string' },
+          confidence: { type: 'string', enum: ['high', 'medium', 'low'] }
+        }
+      }
+    }
+  };
+}
 
 class AIService {
   constructor() {
-    this.client = new Anthropic({
-      apiKey: process.env.ANTHROPIC_API_KEY,
-    });
+    this.provider = createProvider();
     
-    // Configuration
-    this.model = 'claude-sonnet-4-20250514'; 
+    // Configuration. AI_MODEL sets the default model; AI_MODEL_<METHOD>
+    // overrides it per method, e.g. AI_MODEL_GENERATE_NOTIFICATION.
+    this.model = process.env.AI_MODEL || 'claude-sonnet-4-20250514'; 
     this.maxTokens = 1024;
+    this.models = {};
+    for (const method of AI_METHODS) {
+      const envName = 'AI_MODEL_' + method.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+      this.models[method] = process.env[envName] || this.model;
+    }
+
+    // Spend limits in USD. Once either is reached, AI calls are skipped and
+    // every method falls back to its keyword-only behavior.
+    this.dailyBudgetUsd = parseFloat(process.env.AI_DAILY_BUDGET_USD) || null;
+    this.monthlyBudgetUsd = parseFloat(process.env.AI_MONTHLY_BUDGET_USD) || null;
+    this.spendCache = null;
+
+    this.chatFallbackReply = "I'm having trouble connecting right now. Try asking again in a moment!";
+
+    // Calls per structured request: the first try plus corrective retries
+    this.structuredMaxAttempts = parseInt(process.env.AI_STRUCTURED_MAX_ATTEMPTS) || 2;
     
     // Categories for request classification
     this.categories = [
@@ -32,6 +112,237 @@ class AIService {
       { id: 'emergency', name: 'Emergency', icon: '🚨', keywords: ['urgent', 'emergency', 'asap', 'help', 'critical', 'immediately', 'now'] },
       { id: 'other', name: 'Other', icon: '📌', keywords: [] }
     ];
+
+    this.schemas = outputSchemas(this.categories.map(c => c.id));
+  }
+
+  // Swap the provider, e.g. a LocalProvider in tests; null disables AI calls
+  setProvider(provider) {
+    this.provider = provider;
+  }
+
+  modelFor(method) {
+    return this.models[method] || this.model;
+  }
+
+  estimateCost(model, inputTokens, outputTokens) {
+    if (!this.provider) return 0;
+    const pricing = this.provider.pricing(model);
+    return (inputTokens * pricing.input + outputTokens * pricing.output) / 1000000;
+  }
+
+  // Today's and this month's estimated spend, cached briefly
+  async getSpend() {
+    if (!this.spendCache || Date.now() - this.spendCache.checkedAt > SPEND_CACHE_MS) {
+      const spend = await db.getAISpend();
+      this.spendCache = { ...spend, checkedAt: Date.now() };
+    }
+    return this.spendCache;
+  }
+
+  async isOverBudget() {
+    if (!this.dailyBudgetUsd && !this.monthlyBudgetUsd) return false;
+
+    try {
+      const spend = await this.getSpend();
+      return (!!this.dailyBudgetUsd && spend.daily >= this.dailyBudgetUsd) ||
+        (!!this.monthlyBudgetUsd && spend.monthly >= this.monthlyBudgetUsd);
+    } catch (error) {
+      // Can't read the ledger (e.g. database down): don't block AI features
+      console.error('AI budget check error:', error.message);
+      return false;
+    }
+  }
+
+  /**
+   * Current budget limits, spend and whether fallback mode is active
+   * @returns {Promise<Object>} Budget status
+   */
+  async getBudgetStatus() {
+    const fallbackMode = await this.isOverBudget();
+    let spend = null;
+    try {
+      spend = await this.getSpend();
+    } catch (error) {
+      // leave spend unknown
+    }
+
+    return {
+      dailyBudgetUsd: this.dailyBudgetUsd,
+      monthlyBudgetUsd: this.monthlyBudgetUsd,
+      dailySpendUsd: spend ? spend.daily : null,
+      monthlySpendUsd: spend ? spend.monthly : null,
+      fallbackMode
+    };
+  }
+
+  /**
+   * Call the provider with the method's model and record the call in the
+   * usage ledger. Throws when over budget so callers drop into their fallbacks.
+   * @param {string} method - AIService method name
+   * @param {Object} params - { max_tokens, system, messages }
+   * @param {Object} options - { userId } of the user the call is for;
+   *   deferUsage: see deferredUsage
+   * @returns {Promise<Object>} { model, text, usage }
+   */
+  async createMessage(method, params, options = {}) {
+    if (!this.provider) {
+      throw new Error('No AI provider configured, using keyword-only fallback');
+    }
+    if (await this.isOverBudget()) {
+      throw new Error('AI budget exceeded, using keyword-only fallback');
+    }
+
+    const request = { model: this.modelFor(method), ...params };
+    const startedAt = Date.now();
+    let result = null;
+    try {
+      result = await this.provider.complete(method, request);
+    } finally {
+      if (!result || !options.deferUsage) {
+        this.recordUsage(method, request.model, result, Date.now() - startedAt, options.userId);
+      }
+    }
+    return options.deferUsage ?
+      this.deferredUsage(method, request.model, result, Date.now() - startedAt, options.userId) :
+      result;
+  }
+
+  /**
+   * Stream a response, passing each text delta to onText as it arrives,
+   * and record the call in the usage ledger once it ends.
+   * Throws when over budget or if the stream fails part-way.
+   * @param {string} method - AIService method name
+   * @param {Object} params - { max_tokens, system, messages }
+   * @param {Function} onText - Called with each text delta
+   * @param {Object} options - { userId, signal, deferUsage } - signal aborts
+   *   the stream; deferUsage as for createMessage
+   * @returns {Promise<Object>} { model, text, usage }
+   */
+  async streamMessage(method, params, onText, options = {}) {
+    if (!this.provider) {
+      throw new Error('No AI provider configured, using keyword-only fallback');
+    }
+    if (await this.isOverBudget()) {
+      throw new Error('AI budget exceeded, using keyword-only fallback');
+    }
+
+    const request = { model: this.modelFor(method), ...params };
+    const startedAt = Date.now();
+    let result = null;
+    try {
+      result = await this.provider.stream(method, request, onText, { signal: options.signal });
+    } finally {
+      if (!result || !options.deferUsage) {
+        this.recordUsage(method, request.model, result, Date.now() - startedAt, options.userId);
+      }
+    }
+    return options.deferUsage ?
+      this.deferredUsage(method, request.model, result, Date.now() - startedAt, options.userId) :
+      result;
+  }
+
+  // With deferUsage a successful call isn't recorded yet: its result comes
+  // back with recordUsage(fallbackFields), for the caller to call once it has
+  // parsed the reply. Failed calls are recorded straight away.
+  deferredUsage(method, model, result, latencyMs, userId) {
+    return {
+      ...result,
+      recordUsage: fallbackFields => this.recordUsage(method, model, result, latencyMs, userId, fallbackFields)
+    };
+  }
+
+  /**
+   * Parse and validate a JSON reply against the method's schema
+   * @param {string} method - Method whose schema applies
+   * @param {string} text - Model reply
+   * @param {Object} defaults - Values for fields that fail validation
+   * @returns {Object} { value, fallbackFields, errors }
+   */
+  parseStructured(method, text, defaults = {}) {
+    const schema = this.schemas[method];
+    const value = extractJSON(text);
+    const errors = validate(schema, value);
+    return { ...repair(schema, value, errors, defaults), errors };
+  }
+
+  /**
+   * Ask for a JSON reply and validate it against the method's schema. If the
+   * reply is invalid the model is shown its errors and asked again; whatever
+   * is still invalid after the last attempt falls back to defaults.
+   * Throws if no attempt produced usable JSON, so callers drop into their
+   * fallbacks.
+   * @param {string} method - AIService method name
+   * @param {Object} params - { max_tokens, system, messages }
+   * @param {Object} defaults - Values for fields that fail validation
+   * @param {Object} options - { userId } for the usage ledger
+   * @returns {Promise<Object>} { value, fallbackFields, attempts }
+   */
+  async createStructured(method, params, defaults, options = {}) {
+    let messages = params.messages;
+    let lastError = null;
+
+    for (let attempt = 1; attempt <= this.structuredMaxAttempts; attempt++) {
+      const message = await this.createMessage(method, { ...params, messages }, { ...options, deferUsage: true });
+      const lastAttempt = attempt === this.structuredMaxAttempts;
+
+      let problems;
+      try {
+        const parsed = this.parseStructured(method, message.text, defaults);
+        if (parsed.errors.length === 0 || lastAttempt) {
+          if (parsed.fallbackFields.length > 0) {
+            console.warn(`${method}: replaced or dropped invalid ${parsed.fallbackFields.join(', ')}`);
+          }
+          message.recordUsage(parsed.fallbackFields);
+          return { value: parsed.value, fallbackFields: parsed.fallbackFields, attempts: attempt };
+        }
+        message.recordUsage(null);
+        problems = parsed.errors.map(error => error.message);
+      } catch (error) {
+        message.recordUsage(lastAttempt ? ['reply'] : null);
+        lastError = error;
+        problems = [error.message];
+      }
+
+      console.warn(`${method}: invalid reply on attempt ${attempt}: ${problems.join('; ')}`);
+      messages = [
+        ...messages,
+        { role: 'assistant', content: message.text || '(empty reply)' },
+        {
+          role: 'user',
+          content: `That reply was not valid: ${problems.join('; ')}. Respond again with ONLY the corrected JSON, no other text.`
+        }
+      ];
+    }
+
+    throw lastError;
+  }
+
+  // Write a ledger row without holding up the caller. fallbackFields: fields
+  // of a structured reply that fell back to defaults (null if none was used)
+  recordUsage(method, model, result, latencyMs, userId, fallbackFields = null) {
+    const inputTokens = result?.usage.inputTokens || 0;
+    const outputTokens = result?.usage.outputTokens || 0;
+    const estimatedCostUsd = this.estimateCost(model, inputTokens, outputTokens);
+
+    if (this.spendCache) {
+      this.spendCache.daily += estimatedCostUsd;
+      this.spendCache.monthly += estimatedCostUsd;
+    }
+
+    db.recordAIUsage({
+      method,
+      model,
+      inputTokens,
+      outputTokens,
+      latencyMs,
+      estimatedCostUsd,
+      success: !!result,
+      userId,
+      fallbackFields
+    }).catch(error => {
+      console.error('Failed to record AI usage:', error.message);
+    });
   }
 
   containsSpecificPII(text) {
@@ -71,9 +382,10 @@ class AIService {
    * @param {string} title - Request title
    * @param {string} description - Request description
    * @param {string} urgencyLevel - User-selected urgency level
+   * @param {Object} options - { userId } for the usage ledger
    * @returns {Promise<Object>} Category analysis
    */
-  async categorizeRequest(title, description, urgencyLevel) {
+  async categorizeRequest(title, description, urgencyLevel, options = {}) {
   try {
     const prompt = `You are analyzing a help request from a UC Berkeley student. Categorize this request and provide helpful insights.
 
@@ -95,30 +407,20 @@ Analyze this request and respond with a JSON object containing:
 
 CRITICAL: Respond ONLY with valid JSON, no markdown code blocks or other text.`;
 
-    const message = await this.client.messages.create({
-      model: this.model,
+    // Fields the model gets wrong fall back to keyword categorization
+    const { value: analysis, fallbackFields } = await this.createStructured('categorizeRequest', {
       max_tokens: this.maxTokens,
       messages: [{
         role: 'user',
         content: prompt
       }]
-    });
-
-    let responseText = message.content[0].text.trim();
-    
-    // Remove markdown code blocks if present
-    if (responseText.startsWith('```json')) {
-      responseText = responseText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-    } else if (responseText.startsWith('```')) {
-      responseText = responseText.replace(/^```\s*/, '').replace(/\s*```$/, '');
-    }
-
-    const analysis = JSON.parse(responseText);
+    }, this.fallbackCategorization(title, description, urgencyLevel), options);
 
     // Add category metadata
     const categoryInfo = this.categories.find(c => c.id === analysis.category);
     analysis.categoryIcon = categoryInfo?.icon || '📌';
     analysis.categoryName = categoryInfo?.name || 'Other';
+    analysis.fallbackFields = fallbackFields;
 
     console.log('Request categorized:', analysis);
     return analysis;
@@ -160,7 +462,8 @@ CRITICAL: Respond ONLY with valid JSON, no markdown code blocks or other text.`;
       detectedUrgency: urgencyLevel,
       tags: [matchedCategory.name],
       safetyCheck: 'safe',
-      safetyReason: null
+      safetyReason: null,
+      fallbackFields: ['category', 'suggestedTitle', 'estimatedTime', 'detectedUrgency', 'tags', 'safetyCheck']
     };
   }
 
@@ -168,9 +471,10 @@ CRITICAL: Respond ONLY with valid JSON, no markdown code blocks or other text.`;
  * Enhanced safety check with specific sensitive word detection
  * @param {string} title - Request title
  * @param {string} description - Request description
+ * @param {Object} options - { userId } for the usage ledger
  * @returns {Promise<Object>} Safety analysis with detailed reason
  */
-  async performSafetyCheck(title, description) {
+  async performSafetyCheck(title, description, options = {}) {
     // First: Quick keyword pre-filter
     const SENSITIVE_KEYWORDS = {
       'personal_info': ['ssn', 'social security', 'credit card', 'bank account', 'password', 'address', 'phone number'],
@@ -227,16 +531,13 @@ CRITICAL: Respond ONLY with valid JSON, no markdown code blocks or other text.`;
   If safe, return { "isSafe": true, "flaggedCategory": null, "reason": null, "severity": null }
   Respond ONLY with valid JSON.`;
 
-      const message = await this.client.messages.create({
-        model: this.model,
+      const { value: result } = await this.createStructured('performSafetyCheck', {
         max_tokens: 200,
         messages: [{
           role: 'user',
           content: prompt
         }]
-      });
-
-      const result = JSON.parse(message.content[0].text);
+      }, { isSafe: true, flaggedCategory: null, reason: null, severity: null }, options);
       
       if (!result.isSafe) {
         // Guardrail: don't block normal requests that only mention general areas.
@@ -285,10 +586,66 @@ CRITICAL: Respond ONLY with valid JSON, no markdown code blocks or other text.`;
    * Improve request title and description using Claude
    * @param {string} title - Original title
    * @param {string} description - Original description
+   * @param {Object} options - { userId } for the usage ledger
    * @returns {Promise<Object>} Improved request
    */
-  async improveRequest(title, description) {
-  try {
+  async improveRequest(title, description, options = {}) {
+    try {
+      const { value, fallbackFields } = await this.createStructured(
+        'improveRequest',
+        this.improveRequestParams(title, description),
+        this.fallbackImprovement(title, description),
+        options
+      );
+      return {
+        improvedTitle: value.improvedTitle,
+        improvedDescription: value.improvedDescription,
+        suggestions: value.suggestions,
+        fallbackFields
+      };
+
+    } catch (error) {
+      console.error('AI improvement error:', error.message);
+      return this.fallbackImprovement(title, description);
+    }
+  }
+
+  /**
+   * Streaming improveRequest. The raw JSON text is passed to onText as it is
+   * generated; the parsed result is returned at the end. Unlike improveRequest
+   * this throws if the model call fails, so the caller can report it.
+   * @param {string} title - Original title
+   * @param {string} description - Original description
+   * @param {Function} onText - Called with each text delta
+   * @param {Object} options - { userId, signal }
+   * @returns {Promise<Object>} Improved request
+   */
+  async streamImproveRequest(title, description, onText, options = {}) {
+    const message = await this.streamMessage(
+      'improveRequest', this.improveRequestParams(title, description), onText, { ...options, deferUsage: true }
+    );
+
+    // No corrective retry mid-stream; invalid fields fall back instead
+    try {
+      const { value, fallbackFields } = this.parseStructured('improveRequest', message.text, this.fallbackImprovement(title, description));
+      if (fallbackFields.length > 0) {
+        console.warn(`improveRequest: fell back to defaults for ${fallbackFields.join(', ')}`);
+      }
+      message.recordUsage(fallbackFields);
+      return {
+        improvedTitle: value.improvedTitle,
+        improvedDescription: value.improvedDescription,
+        suggestions: value.suggestions,
+        fallbackFields
+      };
+    } catch (error) {
+      console.error('AI improvement parse error:', error.message);
+      message.recordUsage(['reply']);
+      return this.fallbackImprovement(title, description);
+    }
+  }
+
+  improveRequestParams(title, description) {
     const prompt = `You are helping a UC Berkeley student write a clearer help request. Make their request more effective while keeping their original intent.
 
 Original Title: ${title}
@@ -308,49 +665,32 @@ CRITICAL: Respond with ONLY valid JSON. Do not use markdown code blocks. Do not
   "suggestions": ["tip 1", "tip 2"]
 }`;
 
-    const message = await this.client.messages.create({
-      model: this.model,
+    return {
       max_tokens: this.maxTokens,
       messages: [{
         role: 'user',
         content: prompt
       }]
-    });
-
-    let responseText = message.content[0].text.trim();
-    
-    // Remove markdown code blocks if present
-    if (responseText.startsWith('```json')) {
-      responseText = responseText.replace(/^```json\s*/, '').replace(/\s*```$/, '');
-    } else if (responseText.startsWith('```')) {
-      responseText = responseText.replace(/^```\s*/, '').replace(/\s*```$/, '');
-    }
-    
-    const result = JSON.parse(responseText);
-    
-    return {
-      improvedTitle: result.improvedTitle || title,
-      improvedDescription: result.improvedDescription || description,
-      suggestions: result.suggestions || []
     };
+  }
 
-  } catch (error) {
-    console.error('AI improvement error:', error.message);
+  fallbackImprovement(title, description) {
     return {
       improvedTitle: title,
       improvedDescription: description,
-      suggestions: ['Be specific about what you need', 'Include location details', 'Mention time constraints']
+      suggestions: ['Be specific about what you need', 'Include location details', 'Mention time constraints'],
+      fallbackFields: ['improvedTitle', 'improvedDescription', 'suggestions']
     };
   }
-}
 
   /**
    * Generate smart notification message for potential helpers
    * @param {Object} request - The help request
    * @param {Object} helperProfile - Helper's profile/history
+   * @param {Object} options - { userId } for the usage ledger
    * @returns {Promise<string>} Personalized notification message
    */
-  async generateNotification(request, helperProfile) {
+  async generateNotification(request, helperProfile, options = {}) {
     try {
       const prompt = `Create a brief, friendly push notification to ${helperProfile.name} about a help request.
 
@@ -367,16 +707,15 @@ Write a compelling 1-sentence notification (max 100 chars) that:
 
 Return ONLY the notification text, nothing else.`;
 
-      const message = await this.client.messages.create({
-        model: this.model,
+      const message = await this.createMessage('generateNotification', {
         max_tokens: 150,
         messages: [{
           role: 'user',
           content: prompt
         }]
-      });
+      }, options);
 
-      return message.content[0].text.trim().replace(/^"|"$/g, '');
+      return message.text.trim().replace(/^"|"$/g, '');
 
     } catch (error) {
       console.error('AI notification error:', error.message);
@@ -387,12 +726,39 @@ Return ONLY the notification text, nothing else.`;
   /**
    * AI Helper Assistant - Answer questions about requests or helping
    * @param {string} userMessage - User's question
-   * @param {Object} context - Context about user, requests, etc.
+   * @param {Object} context - Context about user, requests, etc.; context.history
+   *   holds earlier exchanges ({ message, response }, oldest first)
+   * @param {Object} options - { userId } for the usage ledger
    * @returns {Promise<string>} AI response
    */
-  async chatAssistant(userMessage, context = {}) {
+  async chatAssistant(userMessage, context = {}, options = {}) {
     try {
-      const systemPrompt = `You are CalPin Assistant, a helpful AI for UC Berkeley students using the CalPin app to help each other.
+      const message = await this.createMessage('chatAssistant', this.chatParams(userMessage, context), options);
+      return message.text.trim();
+
+    } catch (error) {
+      console.error('AI chat error:', error.message);
+      return this.chatFallbackReply;
+    }
+  }
+
+  /**
+   * Streaming chatAssistant. Reply text is passed to onText as it is
+   * generated and the full reply returned at the end. Throws if the model
+   * call fails, so the caller can report it.
+   * @param {string} userMessage - User's question
+   * @param {Object} context - Same as chatAssistant
+   * @param {Function} onText - Called with each text delta
+   * @param {Object} options - { userId, signal }
+   * @returns {Promise<string>} AI response
+   */
+  async streamChatAssistant(userMessage, context, onText, options = {}) {
+    const message = await this.streamMessage('chatAssistant', this.chatParams(userMessage, context), onText, options);
+    return message.text.trim();
+  }
+
+  chatParams(userMessage, context = {}) {
+    const systemPrompt = `You are CalPin Assistant, a helpful AI for UC Berkeley students using the CalPin app to help each other.
 
 Context:
 - User: ${context.userName || 'Student'}
@@ -407,30 +773,29 @@ You help students:
 
 Be friendly, concise (2-3 sentences max), and Berkeley-spirited. If they're in crisis, direct them to campus resources: Tang Center (510-642-2000), CAPS (510-642-9494), or UCPD (510-642-6760).`;
 
-      const message = await this.client.messages.create({
-        model: this.model,
-        max_tokens: 300,
-        system: systemPrompt,
-        messages: [{
-          role: 'user',
-          content: userMessage
-        }]
-      });
+    // Earlier exchanges become real alternating turns
+    const history = (context.history || []).flatMap(turn => [
+      { role: 'user', content: turn.message },
+      { role: 'assistant', content: turn.response }
+    ]);
 
-      return message.content[0].text.trim();
-
-    } catch (error) {
-      console.error('AI chat error:', error.message);
-      return "I'm having trouble connecting right now. Try asking again in a moment!";
-    }
+    return {
+      max_tokens: 300,
+      system: systemPrompt,
+      messages: [
+        ...history,
+        { role: 'user', content: userMessage }
+      ]
+    };
   }
 
   /**
    * Analyze if multiple requests might be duplicates
    * @param {Array} requests - Array of requests to compare
+   * @param {Object} options - { userId } for the usage ledger
    * @returns {Promise<Array>} Groups of potential duplicates
    */
-  async detectDuplicates(requests) {
+  async detectDuplicates(requests, options = {}) {
     if (requests.length < 2) return [];
 
     try {
@@ -453,16 +818,16 @@ Return JSON array of duplicate groups:
 
 Only include groups with 2+ requests. Return empty array [] if no duplicates. Respond with ONLY valid JSON.`;
 
-      const message = await this.client.messages.create({
-        model: this.model,
+      // Invalid groups are dropped rather than failing the whole reply
+      const { value } = await this.createStructured('detectDuplicates', {
         max_tokens: 500,
         messages: [{
           role: 'user',
           content: prompt
         }]
-      });
+      }, {}, options);
 
-      return JSON.parse(message.content[0].text);
+      return value;
 
     } catch (error) {
       console.error('AI duplicate detection error:', error.message);
@@ -474,9 +839,10 @@ Only include groups with 2+ requests. Return empty array [] if no duplicates. Re
    * Generate weekly impact summary for user
    * @param {Object} userStats - User's statistics
    * @param {Array} activities - Recent activities
+   * @param {Object} options - { userId } for the usage ledger
    * @returns {Promise<string>} Motivational summary
    */
-  async generateWeeklySummary(userStats, activities) {
+  async generateWeeklySummary(userStats, activities, options = {}) {
     try {
       const prompt = `Create an inspiring weekly summary for a Berkeley student helper.
 
@@ -492,16 +858,15 @@ Write a warm, motivating 2-3 sentence summary celebrating their impact. Be speci
 
 Return ONLY the summary text.`;
 
-      const message = await this.client.messages.create({
-        model: this.model,
+      const message = await this.createMessage('generateWeeklySummary', {
         max_tokens: 200,
         messages: [{
           role: 'user',
           content: prompt
         }]
-      });
+      }, options);
 
-      return message.content[0].text.trim();
+      return message.text.trim();
 
     } catch (error) {
       console.error('AI summary error:', error.message);
@@ -1,226 +1,232 @@
 const { Pool } = require('pg');
 require('dotenv').config();
+const realtime = require('./realtime');
+const { getMigrationStatus } = require('./migrate');
+const { nextOccurrence, ruleOf } = require('./recurrence');
+const lifecycle = require('./request-lifecycle');
+
+const { STATUSES, ACTORS, EVENT_TYPES } = lifecycle;
 
 // Prefer internal URL on Render to avoid ENETUNREACH (IPv6). Use Internal connection string from DB Connect menu.
 const connectionString = process.env.INTERNAL_DATABASE_URL || process.env.DATABASE_URL;
 
+const METERS_PER_MILE = 1609.344;
+
+// Quoted list for SQL IN (...); only for lifecycle constants, never user input
+function sqlList(values) {
+  return values.map(value => `'${value}'`).join(', ');
+}
+
+const LIVE_STATUS_SQL = sqlList(lifecycle.LIVE_STATUSES);
+
 const pool = new Pool({
   connectionString,
   ssl: process.env.NODE_ENV === 'production' ?
     { rejectUnauthorized: false } : false
 });
 
-// Database initialization with AI features
+// Verify the connection and warn if the schema is behind.
+// Schema changes live in migrations/ and are applied with `npm run migrate`.
 async function initDatabase() {
   try {
-    console.log('Initializing database tables...');
-    
-    // Create users table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS users (
-        id VARCHAR(255) PRIMARY KEY,
-        email VARCHAR(255) UNIQUE NOT NULL,
-        name VARCHAR(255) NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Create help_requests table (base structure)
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS help_requests (
-        id SERIAL PRIMARY KEY,
-        title VARCHAR(500) NOT NULL,
-        description TEXT NOT NULL,
-        latitude DECIMAL(10, 8) NOT NULL,
-        longitude DECIMAL(11, 8) NOT NULL,
-        contact VARCHAR(255) NOT NULL,
-        urgency_level VARCHAR(20) DEFAULT 'Medium',
-        status VARCHAR(20) DEFAULT 'Open',
-        author_id VARCHAR(255) REFERENCES users(id),
-        author_name VARCHAR(255) NOT NULL,
-        helpers_count INTEGER DEFAULT 0,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Create help_offers table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS help_offers (
-        id SERIAL PRIMARY KEY,
-        request_id INTEGER REFERENCES help_requests(id),
-        helper_id VARCHAR(255) REFERENCES users(id),
-        helper_name VARCHAR(255) NOT NULL,
-        status VARCHAR(20) DEFAULT 'active',
-        created_at TIMESTAMP DEFAULT NOW(),
-        completed_at TIMESTAMP,
-        UNIQUE(request_id, helper_id)
-      );
-    `);
-
-    // Create AI insights table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS ai_insights (
-        id SERIAL PRIMARY KEY,
-        request_id INTEGER REFERENCES help_requests(id),
-        insight_type VARCHAR(50) NOT NULL,
-        insight_data JSONB NOT NULL,
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Create user AI preferences table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS user_ai_preferences (
-        user_id VARCHAR(255) PRIMARY KEY REFERENCES users(id),
-        enable_ai_suggestions BOOLEAN DEFAULT true,
-        enable_smart_notifications BOOLEAN DEFAULT true,
-        preferred_categories TEXT[],
-        notification_radius_miles DECIMAL(5, 2) DEFAULT 2.0,
-        created_at TIMESTAMP DEFAULT NOW(),
-        updated_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    // Create AI chat history table
-    await pool.query(`
-      CREATE TABLE IF NOT EXISTS ai_chat_history (
-        id SERIAL PRIMARY KEY,
-        user_id VARCHAR(255) REFERENCES users(id),
-        message TEXT NOT NULL,
-        response TEXT NOT NULL,
-        context JSONB,
-        created_at TIMESTAMP DEFAULT NOW()
-      );
-    `);
-
-    console.log('Base tables created successfully');
-    
-    // Migrate help_offers columns
-    await migrateHelpOffersColumns();
-    
-    // Migrate accepted_helper_id column
-    await migrateAcceptedHelperColumn();
-    
-    // Now migrate AI columns to help_requests
-    await migrateAIColumns();
-    
-    // Create indexes for performance
-    await pool.query(`
-      CREATE INDEX IF NOT EXISTS idx_requests_location ON help_requests(latitude, longitude);
-      CREATE INDEX IF NOT EXISTS idx_requests_status ON help_requests(status);
-      CREATE INDEX IF NOT EXISTS idx_requests_created ON help_requests(created_at);
-      CREATE INDEX IF NOT EXISTS idx_requests_category ON help_requests(ai_category);
-      CREATE INDEX IF NOT EXISTS idx_ai_insights_request ON ai_insights(request_id);
-      CREATE INDEX IF NOT EXISTS idx_chat_history_user ON ai_chat_history(user_id);
-    `);
-
-    console.log('Database initialized successfully with AI features');
+    console.log('Checking database schema...');
+
+    const { applied, pending } = await getMigrationStatus(pool);
+    if (pending.length > 0) {
+      console.warn(`Database has ${pending.length} pending migration(s): ${pending.join(', ')}. Run \`npm run migrate\`.`);
+    }
+
+    console.log(`Database ready (${applied.length} migrations applied)`);
   } catch (error) {
     console.error('Database initialization error:', error);
     throw error;
   }
 }
 
-// Migrate help_offers columns
-async function migrateHelpOffersColumns() {
-  try {
-    console.log('Running help_offers column migration...');
-    
-    // Check and add status column
-    const statusCheck = await pool.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name='help_offers' AND column_name='status'
-    `);
-    
-    if (statusCheck.rows.length === 0) {
-      await pool.query(`ALTER TABLE help_offers ADD COLUMN status VARCHAR(20) DEFAULT 'active'`);
-      console.log('Added status column to help_offers');
-    }
-    
-    // Check and add completed_at column
-    const completedCheck = await pool.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name='help_offers' AND column_name='completed_at'
-    `);
-    
-    if (completedCheck.rows.length === 0) {
-      await pool.query(`ALTER TABLE help_offers ADD COLUMN completed_at TIMESTAMP`);
-      console.log('Added completed_at column to help_offers');
-    }
-    
-    console.log('help_offers columns migrated successfully');
-  } catch (error) {
-    console.error('help_offers column migration error:', error);
-    throw error;
+// Queue a request for moderator review (inside the caller's transaction)
+// moderation: failed performSafetyCheck result
+async function insertModerationItem(client, requestId, moderation) {
+  const result = await client.query(
+    `INSERT INTO moderation_items (request_id, flagged_category, severity, matched_keyword, reason)
+     VALUES ($1, $2, $3, $4, $5)
+     RETURNING id`,
+    [requestId, moderation.flaggedCategory, moderation.severity || 'medium',
+     moderation.keyword || null, moderation.reason]
+  );
+  return result.rows[0].id;
+}
+
+// Append to a request's event log (inside the caller's transaction)
+// details: { actor, actorId, helperId, fromStatus, toStatus, data }; actorId
+// is null when actor is ACTORS.SYSTEM
+async function insertRequestEvent(client, requestId, eventType, details) {
+  const { actor, actorId = null, helperId = null, fromStatus = null, toStatus = null, data = null } = details;
+  await client.query(
+    `INSERT INTO request_events
+     (request_id, event_type, actor_id, actor_role, helper_id, from_status, to_status, data)
+     VALUES ($1, $2, $3, $4, $5, $6, $7, $8)`,
+    [requestId, eventType, actorId, actor, helperId, fromStatus, toStatus,
+     data ? JSON.stringify(data) : null]
+  );
+}
+
+// Log status_changed for rows a bulk UPDATE moved; each row carries the
+// previous_status the UPDATE returned
+async function insertStatusEvents(client, rows, actor, actorId = null) {
+  for (const row of rows) {
+    await insertRequestEvent(client, row.id, EVENT_TYPES.STATUS_CHANGED, {
+      actor, actorId, fromStatus: row.previous_status, toStatus: row.status
+    });
   }
 }
 
-// Migrate accepted_helper_id column
-async function migrateAcceptedHelperColumn() {
-  try {
-    console.log('Running accepted_helper_id column migration...');
-    
-    const check = await pool.query(`
-      SELECT column_name 
-      FROM information_schema.columns 
-      WHERE table_name='help_requests' AND column_name='accepted_helper_id'
-    `);
+// Move a request to a status (inside the caller's transaction, with the row
+// locked), if the lifecycle allows actor to, and log it. Completing a
+// request completes its accepted helpers' offers too; reopening a completed
+// one hands them back. Returns the updated row.
+async function applyStatusChange(client, request, status, actor, actorId = null) {
+  lifecycle.assertTransition(request.status, status, actor);
+  
+  const result = await client.query(
+    `UPDATE help_requests
+     SET status = $2, updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [request.id, status]
+  );
+  
+  if (status === STATUSES.COMPLETED) {
+    await client.query(
+      `UPDATE help_offers 
+       SET status = 'completed',
+           completed_at = COALESCE(completed_at, NOW())
+       WHERE request_id = $1 AND (status = 'accepted' OR helper_id = $2)`,
+      [request.id, request.accepted_helper_id]
+    );
+  }
+  
+  if (request.status === STATUSES.COMPLETED) {
+    const reopened = await client.query(
+      `UPDATE help_offers
+       SET status = 'accepted', completed_at = NULL
+       WHERE request_id = $1 AND status = 'completed'`,
+      [request.id]
+    );
     
-    if (check.rows.length === 0) {
-      await pool.query(`
-        ALTER TABLE help_requests 
-        ADD COLUMN accepted_helper_id VARCHAR(255) REFERENCES users(id)
-      `);
-      console.log('Added accepted_helper_id column to help_requests');
+    // In Progress exactly when there are helpers to get back to it
+    if (status === STATUSES.IN_PROGRESS && reopened.rowCount === 0) {
+      throw new Error(`Cannot reopen as ${STATUSES.IN_PROGRESS}: the request has no helpers; reopen it as ${STATUSES.OPEN}`);
+    }
+    if (status === STATUSES.OPEN && reopened.rowCount > 0) {
+      throw new Error(`Cannot reopen as ${STATUSES.OPEN}: its helpers are back on it; reopen it as ${STATUSES.IN_PROGRESS}`);
     }
-    
-    console.log('accepted_helper_id column migrated successfully');
-  } catch (error) {
-    console.error('accepted_helper_id column migration error:', error);
-    throw error;
   }
+  
+  await insertRequestEvent(client, request.id, EVENT_TYPES.STATUS_CHANGED, {
+    actor, actorId, fromStatus: request.status, toStatus: status
+  });
+  
+  return result.rows[0];
 }
 
-// Migrate AI columns to existing help_requests table
-async function migrateAIColumns() {
-  try {
-    console.log('Running AI column migration...');
-    
-    const columnsToAdd = [
-      { name: 'ai_category', type: 'VARCHAR(50)' },
-      { name: 'ai_category_icon', type: 'VARCHAR(10)' },
-      { name: 'ai_category_name', type: 'VARCHAR(100)' },
-      { name: 'ai_detected_urgency', type: 'VARCHAR(20)' },
-      { name: 'ai_estimated_time', type: 'INTEGER' },
-      { name: 'ai_tags', type: 'TEXT[]' },
-      { name: 'ai_suggested_title', type: 'VARCHAR(500)' },
-      { name: 'ai_safety_check', type: "VARCHAR(20) DEFAULT 'safe'" },
-      { name: 'ai_safety_reason', type: 'TEXT' }
-    ];
-    
-    for (const column of columnsToAdd) {
-      const checkResult = await pool.query(`
-        SELECT column_name 
-        FROM information_schema.columns 
-        WHERE table_name='help_requests' AND column_name=$1
-      `, [column.name]);
-      
-      if (checkResult.rows.length === 0) {
-        await pool.query(`ALTER TABLE help_requests ADD COLUMN ${column.name} ${column.type}`);
-        console.log('Added ' + column.name + ' column');
-      }
-    }
-    
-    console.log('AI columns migrated successfully');
-  } catch (error) {
-    console.error('AI column migration error:', error);
-    throw error;
+// Accept helperId on a request (inside the caller's transaction), creating
+// their offer if they haven't made one. Once the request has as many
+// accepted helpers as it needs it goes In Progress and offers still pending
+// move to the waitlist. Throws if the request is already full or no longer
+// live.
+// actor/actorId: who accepted them (the author, or the system for waitlist
+// promotions and standing helpers)
+async function insertAcceptedOffer(client, requestId, helperId, helperName, actor, actorId = null) {
+  const requestResult = await client.query(
+    'SELECT status, helpers_needed FROM help_requests WHERE id = $1 FOR UPDATE',
+    [requestId]
+  );
+  const helpersNeeded = requestResult.rows[0].helpers_needed;
+  
+  const acceptedResult = await client.query(
+    `SELECT COUNT(*) AS count FROM help_offers
+     WHERE request_id = $1 AND helper_id != $2 AND status = 'accepted'`,
+    [requestId, helperId]
+  );
+  const acceptedCount = parseInt(acceptedResult.rows[0].count);
+  
+  if (acceptedCount >= helpersNeeded) {
+    throw new Error(`Cannot accept more helpers: the request already has the ${helpersNeeded} it needs`);
+  }
+  
+  if (!lifecycle.isLive(requestResult.rows[0].status)) {
+    throw new Error(`Cannot accept helpers on a ${requestResult.rows[0].status} request`);
+  }
+  
+  const existing = await client.query(
+    'SELECT status FROM help_offers WHERE request_id = $1 AND helper_id = $2',
+    [requestId, helperId]
+  );
+  
+  if (existing.rows.length === 0) {
+    await client.query(
+      `INSERT INTO help_offers (request_id, helper_id, helper_name, status)
+       VALUES ($1, $2, $3, 'accepted')`,
+      [requestId, helperId, helperName]
+    );
+  } else {
+    await client.query(
+      `UPDATE help_offers SET status = 'accepted'
+       WHERE request_id = $1 AND helper_id = $2`,
+      [requestId, helperId]
+    );
+  }
+  
+  if (existing.rows.length === 0 || existing.rows[0].status !== 'accepted') {
+    await insertRequestEvent(client, requestId, EVENT_TYPES.HELPER_ACCEPTED, { actor, actorId, helperId });
   }
+  
+  // A new or previously cancelled offer wasn't in helpers_count
+  const counted = existing.rows.length > 0 && existing.rows[0].status !== 'cancelled';
+  const filled = acceptedCount + 1 >= helpersNeeded;
+  
+  if (filled) {
+    const waitlisted = await client.query(
+      `UPDATE help_offers 
+       SET status = 'waitlisted'
+       WHERE request_id = $1 AND status = 'active'
+       RETURNING helper_id`,
+      [requestId]
+    );
+    for (const offer of waitlisted.rows) {
+      await insertRequestEvent(client, requestId, EVENT_TYPES.HELPER_WAITLISTED, {
+        actor, actorId, helperId: offer.helper_id
+      });
+    }
+  }
+  
+  // accepted_helper_id keeps the first helper accepted
+  const result = await client.query(
+    `UPDATE help_requests 
+     SET accepted_helper_id = COALESCE(accepted_helper_id, $2),
+         helpers_count = helpers_count + $3,
+         updated_at = NOW()
+     WHERE id = $1
+     RETURNING *`,
+    [requestId, helperId, counted ? 0 : 1]
+  );
+  
+  // Filling up is the server's move, whoever accepted the last helper
+  return filled && result.rows[0].status === STATUSES.OPEN ?
+    applyStatusChange(client, result.rows[0], STATUSES.IN_PROGRESS, ACTORS.SYSTEM) :
+    result.rows[0];
 }
 
+// Fields of a request the author can change with updateRequest
+const EDITABLE_FIELDS = {
+  title: 'title',
+  description: 'description',
+  latitude: 'latitude',
+  longitude: 'longitude',
+  contact: 'contact',
+  urgencyLevel: 'urgency_level'
+};
+
 // Database operations
 const db = {
   pool,
@@ -248,11 +254,12 @@ const db = {
     return result.rows[0];
   },
 
-  // Create help request with AI analysis
-  async createRequest(requestData) {
+  // Create help request with AI analysis. Pass `moderation` (a failed safety
+  // check) to hold the request in the moderation queue instead of publishing it.
+  async createRequest(requestData, moderation = null) {
     const {
       title, description, latitude, longitude, contact,
-      urgencyLevel, authorId, authorName,
+      urgencyLevel, authorId, authorName, expiresAt, neededFrom, neededUntil, helpersNeeded,
       // AI fields
       aiCategory, aiCategoryIcon, aiCategoryName,
       aiDetectedUrgency, aiEstimatedTime, aiTags,
@@ -273,75 +280,352 @@ const db = {
       aiTags
     });
     
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      const result = await client.query(
+        `INSERT INTO help_requests 
+         (title, description, latitude, longitude, contact, urgency_level, author_id, author_name,
+          ai_category, ai_category_icon, ai_category_name, ai_detected_urgency, 
+          ai_estimated_time, ai_tags, ai_suggested_title, ai_safety_check, ai_safety_reason,
+          expires_at, needed_from, needed_until, helpers_needed)
+         VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17, $18, $19, $20, $21)
+         RETURNING *`,
+        [title, description, lat, lng, contact, urgencyLevel, authorId, authorName,
+         aiCategory, aiCategoryIcon, aiCategoryName, aiDetectedUrgency,
+         aiEstimatedTime, aiTags, aiSuggestedTitle,
+         moderation ? 'flagged' : aiSafetyCheck,
+         moderation ? moderation.reason : aiSafetyReason,
+         expiresAt, neededFrom || null, neededUntil || null, helpersNeeded || 1]
+      );
+      
+      const request = result.rows[0];
+      
+      await insertRequestEvent(client, request.id, EVENT_TYPES.REQUEST_CREATED, {
+        actor: ACTORS.AUTHOR, actorId: authorId, toStatus: request.status
+      });
+      
+      if (moderation) {
+        request.moderation_id = await insertModerationItem(client, request.id, moderation);
+      }
+      
+      await client.query('COMMIT');
+      
+      if (moderation) {
+        console.log('Request ' + request.id + ' held for moderation:', moderation.flaggedCategory);
+      } else {
+        console.log('Request created with ID:', request.id);
+        realtime.publish(realtime.eventTypes.REQUEST_CREATED, request);
+      }
+      return request;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Edit a request. The current version is saved to request_revisions first.
+  // changes: any of EDITABLE_FIELDS' keys; aiAnalysis: new categorization when
+  // the text changed; moderation: failed safety check, which hides the request
+  // for review like a flagged createRequest.
+  // Returns { request, changedFields }; changedFields is empty if nothing changed.
+  async updateRequest(requestId, authorId, changes, { aiAnalysis = null, moderation = null } = {}) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      const currentResult = await client.query(
+        'SELECT * FROM help_requests WHERE id = $1 FOR UPDATE',
+        [requestId]
+      );
+      
+      if (currentResult.rows.length === 0) {
+        throw new Error('Request not found');
+      }
+      
+      const current = currentResult.rows[0];
+      if (current.author_id !== authorId) {
+        throw new Error('Only the request author can edit this request');
+      }
+      
+      if ([STATUSES.COMPLETED, STATUSES.CANCELLED].includes(current.status)) {
+        throw new Error(`Cannot edit a ${current.status} request`);
+      }
+      
+      const changedFields = Object.keys(EDITABLE_FIELDS).filter(field => {
+        if (changes[field] === undefined) return false;
+        const column = EDITABLE_FIELDS[field];
+        if (field === 'latitude' || field === 'longitude') {
+          return parseFloat(changes[field]) !== parseFloat(current[column]);
+        }
+        return changes[field] !== current[column];
+      });
+      
+      if (changedFields.length === 0) {
+        await client.query('ROLLBACK');
+        return { request: current, changedFields };
+      }
+      
+      await client.query(
+        `INSERT INTO request_revisions
+         (request_id, revision_number, title, description, latitude, longitude, contact,
+          urgency_level, ai_category, ai_safety_check, changed_fields, edited_by)
+         VALUES ($1,
+           (SELECT COALESCE(MAX(revision_number), 0) + 1 FROM request_revisions WHERE request_id = $1),
+           $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)`,
+        [requestId, current.title, current.description, current.latitude, current.longitude,
+         current.contact, current.urgency_level, current.ai_category, current.ai_safety_check,
+         changedFields, authorId]
+      );
+      
+      const sets = [];
+      const params = [requestId];
+      const set = (column, value) => {
+        params.push(value);
+        sets.push(`${column} = $${params.length}`);
+      };
+      
+      changedFields.forEach(field => set(EDITABLE_FIELDS[field], changes[field]));
+      
+      if (aiAnalysis) {
+        set('ai_category', aiAnalysis.category);
+        set('ai_category_icon', aiAnalysis.categoryIcon);
+        set('ai_category_name', aiAnalysis.categoryName);
+        set('ai_detected_urgency', aiAnalysis.detectedUrgency);
+        set('ai_estimated_time', aiAnalysis.estimatedTime);
+        set('ai_tags', aiAnalysis.tags);
+        set('ai_suggested_title', aiAnalysis.suggestedTitle);
+      }
+      
+      if (moderation) {
+        set('ai_safety_check', 'flagged');
+        set('ai_safety_reason', moderation.reason);
+      }
+      
+      const result = await client.query(
+        `UPDATE help_requests
+         SET ${sets.join(', ')}, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        params
+      );
+      
+      const request = result.rows[0];
+      if (moderation) {
+        request.moderation_id = await insertModerationItem(client, request.id, moderation);
+      }
+      
+      await client.query('COMMIT');
+      
+      // A flagged edit takes the request off the map. publish() drops held
+      // rows, so tell viewers with just where it was.
+      const published = moderation ?
+        { id: request.id, latitude: request.latitude, longitude: request.longitude } :
+        request;
+      realtime.publish(realtime.eventTypes.REQUEST_UPDATED, published, {
+        changedFields,
+        underReview: !!moderation,
+        previousLatitude: parseFloat(current.latitude),
+        previousLongitude: parseFloat(current.longitude)
+      });
+      return { request, changedFields };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Prior versions of a request, newest first
+  async getRequestRevisions(requestId) {
     const result = await pool.query(
-      `INSERT INTO help_requests 
-       (title, description, latitude, longitude, contact, urgency_level, author_id, author_name,
-        ai_category, ai_category_icon, ai_category_name, ai_detected_urgency, 
-        ai_estimated_time, ai_tags, ai_suggested_title, ai_safety_check, ai_safety_reason)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
-       RETURNING *`,
-      [title, description, lat, lng, contact, urgencyLevel, authorId, authorName,
-       aiCategory, aiCategoryIcon, aiCategoryName, aiDetectedUrgency,
-       aiEstimatedTime, aiTags, aiSuggestedTitle, aiSafetyCheck, aiSafetyReason]
+      `SELECT * FROM request_revisions
+       WHERE request_id = $1
+       ORDER BY revision_number DESC`,
+      [requestId]
+    );
+    return result.rows;
+  },
+
+  // A request's event log, oldest first, with actor and helper names
+  async getRequestEvents(requestId) {
+    const result = await pool.query(
+      `SELECT e.*, actor.name AS actor_name, helper.name AS helper_name
+       FROM request_events e
+       LEFT JOIN users actor ON actor.id = e.actor_id
+       LEFT JOIN users helper ON helper.id = e.helper_id
+       WHERE e.request_id = $1
+       ORDER BY e.created_at, e.id`,
+      [requestId]
     );
+    return result.rows;
+  },
+
+  // Events a user took part in, newest first: ones they made, ones about
+  // them as a helper, and the server's own moves on their requests
+  // page: { limit, cursor } from pagination.parsePageParams; fetches limit + 1 rows
+  async getActivityTimeline(userId, page) {
+    const params = [userId, page.limit + 1];
+    let cursorCondition = '';
+    if (page.cursor) {
+      params.push(page.cursor.createdAt, page.cursor.id);
+      cursorCondition = 'AND (e.created_at, e.id) < ($3::timestamp, $4::int)';
+    }
     
-    console.log('Request created with ID:', result.rows[0].id);
-    return result.rows[0];
+    const result = await pool.query(
+      `SELECT e.*, e.created_at::text AS cursor_created_at,
+              r.title AS request_title, r.urgency_level, r.author_name,
+              actor.name AS actor_name, helper.name AS helper_name
+       FROM request_events e
+       JOIN help_requests r ON r.id = e.request_id
+       LEFT JOIN users actor ON actor.id = e.actor_id
+       LEFT JOIN users helper ON helper.id = e.helper_id
+       WHERE (e.actor_id = $1 OR e.helper_id = $1
+              OR (e.actor_role = '${ACTORS.SYSTEM}' AND r.author_id = $1))
+         ${cursorCondition}
+       ORDER BY e.created_at DESC, e.id DESC
+       LIMIT $2`,
+      params
+    );
+    return result.rows;
   },
 
-  // Get active requests with AI data
-  async getActiveRequests() {
+  // Helpers with a live offer on a request, waitlisted ones included
+  // (not completed, cancelled or rejected)
+  async getActiveHelperIds(requestId) {
+    const result = await pool.query(
+      `SELECT helper_id FROM help_offers
+       WHERE request_id = $1 AND (status IS NULL OR status IN ('active', 'accepted', 'waitlisted'))`,
+      [requestId]
+    );
+    return result.rows.map(row => row.helper_id);
+  },
+
+  // Get active requests with AI data, optionally filtered and sorted by location
+  // geo: { lat, lon, radiusMiles, bbox: { minLat, maxLat, minLon, maxLon }, sortByDistance, limit }
+  // filters.when: 'now' for requests needed already, 'upcoming' for ones whose
+  // needed_from window hasn't started; omit for both
+  // page: { limit, cursor } from pagination.parsePageParams; fetches limit + 1 rows
+  async getActiveRequests(geo = {}, page = null, filters = {}) {
+    const params = [];
+    const conditions = [];
+
+    if (filters.when === 'now') {
+      conditions.push('(r.needed_from IS NULL OR r.needed_from <= NOW())');
+    } else if (filters.when === 'upcoming') {
+      conditions.push('r.needed_from > NOW()');
+    }
+
+    let distanceColumn = 'NULL::float8 as distance_miles';
+    let cursorColumn = '';
+    let orderBy = 'r.created_at DESC, r.id DESC';
+    let limitClause = '';
+
+    if (geo.lat !== undefined && geo.lon !== undefined) {
+      params.push(geo.lat, geo.lon);
+      const origin = 'll_to_earth($1, $2)';
+      const point = 'll_to_earth(r.latitude::float8, r.longitude::float8)';
+      distanceColumn = `earth_distance(${origin}, ${point}) / ${METERS_PER_MILE} as distance_miles`;
+
+      if (geo.radiusMiles) {
+        params.push(geo.radiusMiles * METERS_PER_MILE);
+        const radius = '$' + params.length;
+        // earth_box is a cheap indexed prefilter; earth_distance trims its corners
+        conditions.push(`earth_box(${origin}, ${radius}) @> ${point}`);
+        conditions.push(`earth_distance(${origin}, ${point}) <= ${radius}`);
+      }
+
+      if (geo.sortByDistance) {
+        orderBy = 'distance_miles ASC, r.created_at DESC, r.id DESC';
+      }
+    }
+
+    if (geo.bbox) {
+      params.push(geo.bbox.minLat, geo.bbox.maxLat, geo.bbox.minLon, geo.bbox.maxLon);
+      const n = params.length;
+      conditions.push(`r.latitude BETWEEN $${n - 3} AND $${n - 2}`);
+      conditions.push(`r.longitude BETWEEN $${n - 1} AND $${n}`);
+    }
+
+    if (page) {
+      cursorColumn = 'r.created_at::text AS cursor_created_at,';
+      if (page.cursor) {
+        params.push(page.cursor.createdAt, page.cursor.id);
+        conditions.push(`(r.created_at, r.id) < ($${params.length - 1}::timestamp, $${params.length}::int)`);
+      }
+    }
+
+    if (geo.limit) {
+      params.push(geo.limit);
+      limitClause = 'LIMIT $' + params.length;
+    } else if (page) {
+      params.push(page.limit + 1);
+      limitClause = 'LIMIT $' + params.length;
+    }
+
     const result = await pool.query(`
       SELECT r.*, 
+        ${cursorColumn}
+        ${distanceColumn},
         COALESCE(h.helpers_count, 0) as helpers_count,
         COALESCE(h.active_helpers, 0) as active_helpers,
-        COALESCE(h.completed_helpers, 0) as completed_helpers
+        COALESCE(h.completed_helpers, 0) as completed_helpers,
+        COALESCE(h.accepted_helpers, 0) as accepted_helpers
       FROM help_requests r
       LEFT JOIN (
         SELECT request_id, 
           COUNT(*) as helpers_count,
           COUNT(CASE WHEN (status IS NULL OR status != 'completed') THEN 1 END) as active_helpers,
-          COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_helpers
+          COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_helpers,
+          COUNT(CASE WHEN status = 'accepted' THEN 1 END) as accepted_helpers
         FROM help_offers
         GROUP BY request_id
       ) h ON r.id = h.request_id
-      WHERE r.created_at > NOW() - INTERVAL '48 hours'
-        AND r.status NOT IN ('completed', 'cancelled')
+      WHERE r.expires_at > NOW()
+        AND r.status IN (${LIVE_STATUS_SQL})
         AND (r.ai_safety_check = 'safe' OR r.ai_safety_check IS NULL)
-      ORDER BY r.created_at DESC
-    `);
+        ${conditions.map(c => 'AND ' + c).join('\n        ')}
+      ORDER BY ${orderBy}
+      ${limitClause}
+    `, params);
     
     return result.rows;
   },
 
-  // Offer help on a request
-  async offerHelp(requestId, helperId, helperName) {
+  // Move Open requests past their expires_at to Expired and return them.
+  // In Progress ones are left for their helpers to finish, and ones held or
+  // rejected by moderation aren't expired (nor their authors told). Each row
+  // is claimed by exactly one caller, so running this on several instances
+  // at once doesn't double-notify.
+  async expireDueRequests(limit = 100) {
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
       
-      await client.query(
-        `INSERT INTO help_offers (request_id, helper_id, helper_name)
-         VALUES ($1, $2, $3)`,
-        [requestId, helperId, helperName]
-      );
+      const result = await client.query(`
+        UPDATE help_requests r
+        SET status = '${STATUSES.EXPIRED}', updated_at = NOW()
+        FROM (
+          SELECT id, status FROM help_requests
+          WHERE expires_at <= NOW()
+            AND status IN (${sqlList(lifecycle.sourcesFor(STATUSES.EXPIRED, ACTORS.SYSTEM))})
+            AND (ai_safety_check = 'safe' OR ai_safety_check IS NULL)
+          ORDER BY expires_at
+          LIMIT $1
+          FOR UPDATE SKIP LOCKED
+        ) previous
+        WHERE r.id = previous.id
+        RETURNING r.*, previous.status AS previous_status
+      `, [limit]);
       
-      await client.query(
-        `UPDATE help_requests 
-         SET helpers_count = helpers_count + 1,
-             updated_at = NOW()
-         WHERE id = $1`,
-        [requestId]
-      );
+      await insertStatusEvents(client, result.rows, ACTORS.SYSTEM);
       
       await client.query('COMMIT');
-      
-      const result = await client.query(
-        'SELECT * FROM help_requests WHERE id = $1',
-        [requestId]
-      );
-      
-      return result.rows[0];
+      return result.rows;
     } catch (error) {
       await client.query('ROLLBACK');
       throw error;
@@ -350,136 +634,343 @@ const db = {
     }
   },
 
-  // Save AI insight
-  async saveAIInsight(requestId, insightType, insightData) {
+  // Extend a request's expiry (never shortens it); an Expired request goes
+  // back to Open. A scheduled window's end moves out with it.
+  async renewRequest(requestId, authorId, expiresAt) {
+    const client = await pool.connect();
     try {
-      await pool.query(
-        `INSERT INTO ai_insights (request_id, insight_type, insight_data)
-         VALUES ($1, $2, $3)`,
-        [requestId, insightType, JSON.stringify(insightData)]
+      await client.query('BEGIN');
+      
+      const currentResult = await client.query(
+        'SELECT * FROM help_requests WHERE id = $1 FOR UPDATE',
+        [requestId]
       );
-      console.log('AI insight saved for request:', requestId);
+      
+      if (currentResult.rows.length === 0) {
+        throw new Error('Request not found');
+      }
+      
+      const current = currentResult.rows[0];
+      if (current.author_id !== authorId) {
+        throw new Error('Only the request author can renew this request');
+      }
+      
+      if (!lifecycle.isLive(current.status) && current.status !== STATUSES.EXPIRED) {
+        throw new Error(`Cannot renew a ${current.status} request`);
+      }
+      
+      const result = await client.query(
+        `UPDATE help_requests
+         SET expires_at = GREATEST(expires_at, $2),
+             needed_until = CASE WHEN needed_until IS NULL THEN NULL ELSE GREATEST(needed_until, $2) END,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [requestId, expiresAt]
+      );
+      
+      let request = result.rows[0];
+      if (current.status === STATUSES.EXPIRED) {
+        request = await applyStatusChange(client, request, STATUSES.OPEN, ACTORS.AUTHOR, authorId);
+      }
+      
+      await client.query('COMMIT');
+      
+      realtime.publish(realtime.eventTypes.REQUEST_RENEWED, request, {
+        previousStatus: current.status
+      });
+      return request;
     } catch (error) {
-      console.error('Failed to save AI insight:', error.message);
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
     }
   },
 
-  // Get user AI preferences
-  async getUserAIPreferences(userId) {
+  // Create a recurring request series. rule comes from
+  // recurrence.parseRecurrence; occurrences are posted by postDueOccurrences.
+  async createSeries(seriesData, rule) {
+    const {
+      title, description, latitude, longitude, contact, urgencyLevel, authorId, authorName, helpersNeeded,
+      aiCategory, aiCategoryIcon, aiCategoryName, aiDetectedUrgency,
+      aiEstimatedTime, aiTags, aiSuggestedTitle
+    } = seriesData;
+    
     const result = await pool.query(
-      'SELECT * FROM user_ai_preferences WHERE user_id = $1',
-      [userId]
+      `INSERT INTO request_series
+       (title, description, latitude, longitude, contact, urgency_level, author_id, author_name,
+        ai_category, ai_category_icon, ai_category_name, ai_detected_urgency,
+        ai_estimated_time, ai_tags, ai_suggested_title,
+        frequency, days_of_week, starts_at, duration_minutes, until_at, max_occurrences,
+        time_zone, next_occurrence_at, helpers_needed)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15,
+               $16, $17, $18, $19, $20, $21, $22, $23, $24)
+       RETURNING *`,
+      [title, description, latitude, longitude, contact, urgencyLevel, authorId, authorName,
+       aiCategory, aiCategoryIcon, aiCategoryName, aiDetectedUrgency,
+       aiEstimatedTime, aiTags, aiSuggestedTitle,
+       rule.frequency, rule.daysOfWeek, rule.startsAt, rule.durationMinutes, rule.until, rule.count,
+       rule.timeZone, nextOccurrence(rule, new Date(rule.startsAt.getTime() - 1)), helpersNeeded || 1]
     );
-    return result.rows[0];
-  },
-
-  // Update user AI preferences
-  async updateUserAIPreferences(userId, preferences) {
-    const { enableAISuggestions, enableSmartNotifications, preferredCategories, notificationRadius } = preferences;
     
-    await pool.query(
-      `INSERT INTO user_ai_preferences 
-       (user_id, enable_ai_suggestions, enable_smart_notifications, preferred_categories, notification_radius_miles, updated_at)
-       VALUES ($1, $2, $3, $4, $5, NOW())
-       ON CONFLICT (user_id) DO UPDATE SET
-       enable_ai_suggestions = EXCLUDED.enable_ai_suggestions,
-       enable_smart_notifications = EXCLUDED.enable_smart_notifications,
-       preferred_categories = EXCLUDED.preferred_categories,
-       notification_radius_miles = EXCLUDED.notification_radius_miles,
-       updated_at = NOW()`,
-      [userId, enableAISuggestions, enableSmartNotifications, preferredCategories, notificationRadius]
-    );
+    console.log('Series created with ID:', result.rows[0].id);
+    return result.rows[0];
   },
 
-  // Save chat interaction
-  async saveChatInteraction(userId, message, response, context) {
-    await pool.query(
-      `INSERT INTO ai_chat_history (user_id, message, response, context)
-       VALUES ($1, $2, $3, $4)`,
-      [userId, message, response, JSON.stringify(context)]
+  async getSeries(seriesId) {
+    const result = await pool.query(
+      'SELECT * FROM request_series WHERE id = $1',
+      [seriesId]
     );
+    return result.rows[0] || null;
   },
 
-  // Get recent chat history for context
-  async getChatHistory(userId, limit = 5) {
+  // An author's series, newest first
+  async getSeriesForAuthor(authorId) {
     const result = await pool.query(
-      `SELECT message, response, context, created_at 
-       FROM ai_chat_history 
-       WHERE user_id = $1 
-       ORDER BY created_at DESC 
-       LIMIT $2`,
-      [userId, limit]
+      `SELECT * FROM request_series
+       WHERE author_id = $1
+       ORDER BY created_at DESC, id DESC`,
+      [authorId]
     );
-    return result.rows.reverse();
+    return result.rows;
   },
 
-  // Get all helpers for a request
-  async getHelpersForRequest(requestId) {
+  // Posted occurrences of a series, soonest first. upcomingOnly limits it to
+  // ones that haven't started and are still open or in progress.
+  async getSeriesOccurrences(seriesId, { upcomingOnly = false } = {}) {
     const result = await pool.query(
-      `SELECT ho.*, u.email as helper_email
-       FROM help_offers ho
-       JOIN users u ON ho.helper_id = u.id
-       WHERE ho.request_id = $1
-       ORDER BY ho.created_at ASC`,
-      [requestId]
+      `SELECT * FROM help_requests
+       WHERE series_id = $1
+       ${upcomingOnly ? `AND needed_from > NOW() AND status IN (${LIVE_STATUS_SQL})` : ''}
+       ORDER BY needed_from ASC, id ASC`,
+      [seriesId]
     );
     return result.rows;
   },
 
-  // Accept a helper for a request
-  async acceptHelper(requestId, helperId, requestAuthorId) {
+  // Post every occurrence of an active series that starts within
+  // lookaheadMs as its own request. A series with a standing helper gets
+  // them accepted on each new occurrence. Occurrences whose window already
+  // passed (e.g. while the server was down) are skipped. Like
+  // expireDueRequests, each series is claimed by one caller at a time.
+  // Returns the new request rows.
+  async postDueOccurrences(lookaheadMs, limit = 50) {
     const client = await pool.connect();
+    const posted = [];
     try {
       await client.query('BEGIN');
       
-      // Verify requester is the author
-      const requestCheck = await client.query(
-        'SELECT author_id FROM help_requests WHERE id = $1',
-        [requestId]
+      const due = await client.query(
+        `SELECT * FROM request_series
+         WHERE status = 'active'
+           AND next_occurrence_at <= NOW() + $1 * INTERVAL '1 millisecond'
+         ORDER BY next_occurrence_at
+         LIMIT $2
+         FOR UPDATE SKIP LOCKED`,
+        [lookaheadMs, limit]
       );
       
-      if (requestCheck.rows.length === 0) {
-        throw new Error('Request not found');
+      const now = new Date();
+      const horizon = new Date(now.getTime() + lookaheadMs);
+      
+      for (const series of due.rows) {
+        const rule = ruleOf(series);
+        let at = new Date(series.next_occurrence_at);
+        
+        while (at && at <= horizon) {
+          const until = new Date(at.getTime() + series.duration_minutes * 60 * 1000);
+          if (until > now) {
+            const result = await client.query(
+              `INSERT INTO help_requests 
+               (title, description, latitude, longitude, contact, urgency_level, author_id, author_name,
+                ai_category, ai_category_icon, ai_category_name, ai_detected_urgency,
+                ai_estimated_time, ai_tags, ai_suggested_title, ai_safety_check,
+                expires_at, needed_from, needed_until, series_id, helpers_needed)
+               VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, 'safe',
+                       $16, $17, $16, $18, $19)
+               RETURNING *`,
+              [series.title, series.description, series.latitude, series.longitude, series.contact,
+               series.urgency_level, series.author_id, series.author_name,
+               series.ai_category, series.ai_category_icon, series.ai_category_name,
+               series.ai_detected_urgency, series.ai_estimated_time, series.ai_tags,
+               series.ai_suggested_title, until, at, series.id, series.helpers_needed]
+            );
+            
+            let request = result.rows[0];
+            await insertRequestEvent(client, request.id, EVENT_TYPES.REQUEST_CREATED, {
+              actor: ACTORS.SYSTEM, toStatus: request.status, data: { seriesId: series.id }
+            });
+            
+            if (series.standing_helper_id) {
+              request = await insertAcceptedOffer(
+                client, request.id, series.standing_helper_id, series.standing_helper_name, ACTORS.SYSTEM
+              );
+            }
+            posted.push(request);
+          }
+          at = nextOccurrence(rule, at);
+        }
+        
+        await client.query(
+          `UPDATE request_series
+           SET next_occurrence_at = $2,
+               status = CASE WHEN $2::timestamp IS NULL THEN 'ended' ELSE status END,
+               updated_at = NOW()
+           WHERE id = $1`,
+          [series.id, at]
+        );
       }
       
-      if (requestCheck.rows[0].author_id !== requestAuthorId) {
-        throw new Error('Only the request author can accept helpers');
+      await client.query('COMMIT');
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+    
+    for (const request of posted) {
+      realtime.publish(realtime.eventTypes.REQUEST_CREATED, request);
+      if (request.accepted_helper_id) {
+        realtime.publish(realtime.eventTypes.HELPER_ACCEPTED, request, { helperId: request.accepted_helper_id });
+      }
+    }
+    return posted;
+  },
+
+  // Edit a series' content (EDITABLE_FIELDS, plus aiAnalysis when the text
+  // changed). Only occurrences posted from now on pick it up; the caller
+  // updates already-posted upcoming ones with updateRequest.
+  // Returns { series, changedFields }.
+  async updateSeries(seriesId, authorId, changes, aiAnalysis = null) {
+    const series = await this.getSeries(seriesId);
+    if (!series) {
+      throw new Error('Series not found');
+    }
+    if (series.author_id !== authorId) {
+      throw new Error('Only the series author can edit this series');
+    }
+    if (['cancelled', 'ended'].includes(series.status)) {
+      throw new Error(`Cannot edit a ${series.status} series`);
+    }
+    
+    const changedFields = Object.keys(EDITABLE_FIELDS).filter(field => {
+      if (changes[field] === undefined) return false;
+      const column = EDITABLE_FIELDS[field];
+      if (field === 'latitude' || field === 'longitude') {
+        return parseFloat(changes[field]) !== parseFloat(series[column]);
       }
+      return changes[field] !== series[column];
+    });
+    
+    if (changedFields.length === 0) {
+      return { series, changedFields };
+    }
+    
+    const sets = [];
+    const params = [seriesId];
+    const set = (column, value) => {
+      params.push(value);
+      sets.push(`${column} = $${params.length}`);
+    };
+    
+    changedFields.forEach(field => set(EDITABLE_FIELDS[field], changes[field]));
+    
+    if (aiAnalysis) {
+      set('ai_category', aiAnalysis.category);
+      set('ai_category_icon', aiAnalysis.categoryIcon);
+      set('ai_category_name', aiAnalysis.categoryName);
+      set('ai_detected_urgency', aiAnalysis.detectedUrgency);
+      set('ai_estimated_time', aiAnalysis.estimatedTime);
+      set('ai_tags', aiAnalysis.tags);
+      set('ai_suggested_title', aiAnalysis.suggestedTitle);
+    }
+    
+    const result = await pool.query(
+      `UPDATE request_series
+       SET ${sets.join(', ')}, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      params
+    );
+    return { series: result.rows[0], changedFields };
+  },
+
+  // Pause, resume or cancel a series. Pausing stops new occurrences being
+  // posted; resuming picks up at the first occurrence still to come.
+  // Cancelling also cancels posted occurrences that haven't started.
+  // Returns { series, cancelledRequests }.
+  async setSeriesStatus(seriesId, authorId, action) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
       
-      // Update the help offer to accepted
-      await client.query(
-        `UPDATE help_offers 
-         SET status = 'accepted'
-         WHERE request_id = $1 AND helper_id = $2`,
-        [requestId, helperId]
+      const currentResult = await client.query(
+        'SELECT * FROM request_series WHERE id = $1 FOR UPDATE',
+        [seriesId]
       );
       
-      // Reject all other offers
-      await client.query(
-        `UPDATE help_offers 
-         SET status = 'rejected'
-         WHERE request_id = $1 AND helper_id != $2 AND status = 'active'`,
-        [requestId, helperId]
-      );
+      if (currentResult.rows.length === 0) {
+        throw new Error('Series not found');
+      }
       
-      // Update request status to In Progress and set accepted helper
-      await client.query(
-        `UPDATE help_requests 
-         SET status = 'In Progress',
-             accepted_helper_id = $2,
-             updated_at = NOW()
-         WHERE id = $1`,
-        [requestId, helperId]
-      );
+      const current = currentResult.rows[0];
+      if (current.author_id !== authorId) {
+        throw new Error(`Only the series author can ${action} this series`);
+      }
       
-      await client.query('COMMIT');
+      const allowedFrom = { pause: ['active'], resume: ['paused'], cancel: ['active', 'paused'] }[action];
+      if (!allowedFrom.includes(current.status)) {
+        throw new Error(`Cannot ${action} a ${current.status} series`);
+      }
+      
+      let status = { pause: 'paused', resume: 'active', cancel: 'cancelled' }[action];
+      let nextAt = current.next_occurrence_at;
+      const now = new Date();
+      
+      if (action === 'resume' && (!nextAt || new Date(nextAt) <= now)) {
+        nextAt = nextOccurrence(ruleOf(current), now);
+        if (!nextAt) status = 'ended';
+      } else if (action === 'cancel') {
+        nextAt = null;
+      }
       
       const result = await client.query(
-        'SELECT * FROM help_requests WHERE id = $1',
-        [requestId]
+        `UPDATE request_series
+         SET status = $2, next_occurrence_at = $3, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [seriesId, status, nextAt]
       );
       
-      return result.rows[0];
+      let cancelledRequests = [];
+      if (action === 'cancel') {
+        const cancelled = await client.query(
+          `UPDATE help_requests r
+           SET status = '${STATUSES.CANCELLED}', updated_at = NOW()
+           FROM (
+             SELECT id, status FROM help_requests
+             WHERE series_id = $1
+               AND needed_from > NOW()
+               AND status IN (${sqlList(lifecycle.sourcesFor(STATUSES.CANCELLED, ACTORS.AUTHOR))})
+             FOR UPDATE
+           ) previous
+           WHERE r.id = previous.id
+           RETURNING r.*, previous.status AS previous_status`,
+          [seriesId]
+        );
+        cancelledRequests = cancelled.rows;
+        await insertStatusEvents(client, cancelledRequests, ACTORS.AUTHOR, authorId);
+      }
+      
+      await client.query('COMMIT');
+      
+      cancelledRequests.forEach(request => {
+        realtime.publish(realtime.eventTypes.STATUS_CHANGED, request, { status: request.status });
+      });
+      return { series: result.rows[0], cancelledRequests };
     } catch (error) {
       await client.query('ROLLBACK');
       throw error;
@@ -488,56 +979,163 @@ const db = {
     }
   },
 
-  // Complete a request
-  async completeRequest(requestId, requestAuthorId) {
+  // Skip a series' next occurrence: cancel the soonest posted one that
+  // hasn't started, or if none is posted yet, move the schedule past it.
+  // Returns { series, skippedAt, cancelledRequest }.
+  async skipSeriesOccurrence(seriesId, authorId) {
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
       
-      // Verify requester is the author
-      const requestCheck = await client.query(
-        'SELECT author_id, accepted_helper_id FROM help_requests WHERE id = $1',
-        [requestId]
+      const currentResult = await client.query(
+        'SELECT * FROM request_series WHERE id = $1 FOR UPDATE',
+        [seriesId]
       );
       
-      if (requestCheck.rows.length === 0) {
-        throw new Error('Request not found');
+      if (currentResult.rows.length === 0) {
+        throw new Error('Series not found');
       }
       
-      if (requestCheck.rows[0].author_id !== requestAuthorId) {
-        throw new Error('Only the request author can complete the request');
+      const current = currentResult.rows[0];
+      if (current.author_id !== authorId) {
+        throw new Error('Only the series author can skip occurrences');
       }
       
-      const acceptedHelperId = requestCheck.rows[0].accepted_helper_id;
+      if (!['active', 'paused'].includes(current.status)) {
+        throw new Error(`Cannot skip an occurrence of a ${current.status} series`);
+      }
       
-      // Update request status to Completed
-      await client.query(
-        `UPDATE help_requests 
-         SET status = 'completed',
-             updated_at = NOW()
-         WHERE id = $1`,
-        [requestId]
+      const cancelled = await client.query(
+        `UPDATE help_requests r
+         SET status = '${STATUSES.CANCELLED}', updated_at = NOW()
+         FROM (
+           SELECT id, status FROM help_requests
+           WHERE series_id = $1
+             AND needed_from > NOW()
+             AND status IN (${sqlList(lifecycle.sourcesFor(STATUSES.CANCELLED, ACTORS.AUTHOR))})
+           ORDER BY needed_from
+           LIMIT 1
+           FOR UPDATE
+         ) previous
+         WHERE r.id = previous.id
+         RETURNING r.*, previous.status AS previous_status`,
+        [seriesId]
       );
+      await insertStatusEvents(client, cancelled.rows, ACTORS.AUTHOR, authorId);
       
-      // Mark the accepted helper's offer as completed
-      if (acceptedHelperId) {
-        await client.query(
-          `UPDATE help_offers 
-           SET status = 'completed',
-               completed_at = NOW()
-           WHERE request_id = $1 AND helper_id = $2`,
-          [requestId, acceptedHelperId]
+      let series = current;
+      let skippedAt;
+      const cancelledRequest = cancelled.rows[0] || null;
+      
+      if (cancelledRequest) {
+        skippedAt = cancelledRequest.needed_from;
+      } else {
+        if (!current.next_occurrence_at) {
+          throw new Error('Cannot skip: the series has no occurrences left');
+        }
+        skippedAt = current.next_occurrence_at;
+        const nextAt = nextOccurrence(ruleOf(current), new Date(skippedAt));
+        const result = await client.query(
+          `UPDATE request_series
+           SET next_occurrence_at = $2,
+               status = CASE WHEN $2::timestamp IS NULL THEN 'ended' ELSE status END,
+               updated_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+          [seriesId, nextAt]
         );
+        series = result.rows[0];
       }
       
       await client.query('COMMIT');
       
+      if (cancelledRequest) {
+        realtime.publish(realtime.eventTypes.STATUS_CHANGED, cancelledRequest, {
+          status: cancelledRequest.status
+        });
+      }
+      return { series, skippedAt, cancelledRequest };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Carry a helper over to a series' later occurrences. They must have been
+  // accepted on one of its occurrences. Posted occurrences that haven't
+  // started and still need helpers get them too.
+  // Returns { series, acceptedRequests }.
+  async setStandingHelper(seriesId, helperId, helperName) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      const currentResult = await client.query(
+        'SELECT * FROM request_series WHERE id = $1 FOR UPDATE',
+        [seriesId]
+      );
+      
+      if (currentResult.rows.length === 0) {
+        throw new Error('Series not found');
+      }
+      
+      if (!['active', 'paused'].includes(currentResult.rows[0].status)) {
+        throw new Error(`Cannot join a ${currentResult.rows[0].status} series`);
+      }
+      
+      // Replacing someone takes them (or the author) clearing the spot first
+      const standingHelperId = currentResult.rows[0].standing_helper_id;
+      if (standingHelperId && standingHelperId !== helperId) {
+        throw new Error('Cannot carry over: the series already has a standing helper');
+      }
+      
+      const accepted = await client.query(
+        `SELECT 1 FROM help_offers ho
+         JOIN help_requests r ON r.id = ho.request_id
+         WHERE r.series_id = $1 AND ho.helper_id = $2 AND ho.status IN ('accepted', 'completed')
+         LIMIT 1`,
+        [seriesId, helperId]
+      );
+      
+      if (accepted.rows.length === 0) {
+        throw new Error('Only a helper accepted on this series can carry over');
+      }
+      
       const result = await client.query(
-        'SELECT * FROM help_requests WHERE id = $1',
-        [requestId]
+        `UPDATE request_series
+         SET standing_helper_id = $2, standing_helper_name = $3, updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [seriesId, helperId, helperName]
       );
       
-      return result.rows[0];
+      const open = await client.query(
+        `SELECT r.id FROM help_requests r
+         WHERE r.series_id = $1
+           AND r.needed_from > NOW()
+           AND r.status = '${STATUSES.OPEN}'
+           AND NOT EXISTS (
+             SELECT 1 FROM help_offers ho
+             WHERE ho.request_id = r.id AND ho.helper_id = $2 AND ho.status = 'accepted'
+           )
+         ORDER BY r.needed_from`,
+        [seriesId, helperId]
+      );
+      
+      const acceptedRequests = [];
+      for (const row of open.rows) {
+        acceptedRequests.push(await insertAcceptedOffer(client, row.id, helperId, helperName, ACTORS.SYSTEM));
+      }
+      
+      await client.query('COMMIT');
+      
+      acceptedRequests.forEach(request => {
+        realtime.publish(realtime.eventTypes.HELPER_ACCEPTED, request, { helperId });
+        realtime.publish(realtime.eventTypes.STATUS_CHANGED, request, { status: request.status });
+      });
+      return { series: result.rows[0], acceptedRequests };
     } catch (error) {
       await client.query('ROLLBACK');
       throw error;
@@ -546,38 +1144,1089 @@ const db = {
     }
   },
 
-  // Cancel a help offer
-  async cancelHelpOffer(requestId, helperId) {
+  // Stop carrying the standing helper over. The author or the helper can do
+  // this; occurrences they were already accepted on are left as they are.
+  async clearStandingHelper(seriesId, userId) {
+    const series = await this.getSeries(seriesId);
+    if (!series) {
+      throw new Error('Series not found');
+    }
+    if (series.author_id !== userId && series.standing_helper_id !== userId) {
+      throw new Error('Only the series author or its standing helper can do this');
+    }
+    
+    const result = await pool.query(
+      `UPDATE request_series
+       SET standing_helper_id = NULL, standing_helper_name = NULL, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [seriesId]
+    );
+    return result.rows[0];
+  },
+
+  // Offer help on a request. Once a request has all the helpers it needs,
+  // new offers go on its waitlist; the row comes back with offer_status
+  // set to 'active' or 'waitlisted'.
+  async offerHelp(requestId, helperId, helperName) {
     const client = await pool.connect();
     try {
       await client.query('BEGIN');
       
-      // Update help offer status to cancelled
-      await client.query(
-        `UPDATE help_offers 
-         SET status = 'cancelled'
-         WHERE request_id = $1 AND helper_id = $2`,
-        [requestId, helperId]
+      const requestResult = await client.query(
+        'SELECT helpers_needed FROM help_requests WHERE id = $1 FOR UPDATE',
+        [requestId]
+      );
+      
+      if (requestResult.rows.length === 0) {
+        throw new Error('Request not found');
+      }
+      
+      const acceptedResult = await client.query(
+        `SELECT COUNT(*) AS count FROM help_offers
+         WHERE request_id = $1 AND status = 'accepted'`,
+        [requestId]
       );
+      const filled = parseInt(acceptedResult.rows[0].count) >= requestResult.rows[0].helpers_needed;
+      const offerStatus = filled ? 'waitlisted' : 'active';
       
-      // Decrement helpers_count
       await client.query(
+        `INSERT INTO help_offers (request_id, helper_id, helper_name, status)
+         VALUES ($1, $2, $3, $4)`,
+        [requestId, helperId, helperName, offerStatus]
+      );
+      
+      await insertRequestEvent(client, requestId, EVENT_TYPES.HELP_OFFERED, {
+        actor: ACTORS.HELPER, actorId: helperId, helperId, data: { waitlisted: filled }
+      });
+      
+      const result = await client.query(
         `UPDATE help_requests 
-         SET helpers_count = GREATEST(0, helpers_count - 1),
+         SET helpers_count = helpers_count + 1,
              updated_at = NOW()
-         WHERE id = $1`,
+         WHERE id = $1
+         RETURNING *`,
         [requestId]
       );
       
       await client.query('COMMIT');
       
-      return { success: true };
+      const request = result.rows[0];
+      request.offer_status = offerStatus;
+      
+      realtime.publish(realtime.eventTypes.HELPER_OFFERED, request, {
+        helperId,
+        helperName,
+        waitlisted: filled
+      });
+      return request;
     } catch (error) {
       await client.query('ROLLBACK');
       throw error;
     } finally {
       client.release();
     }
+  },
+
+  // Save AI insight
+  async saveAIInsight(requestId, insightType, insightData) {
+    try {
+      await pool.query(
+        `INSERT INTO ai_insights (request_id, insight_type, insight_data)
+         VALUES ($1, $2, $3)`,
+        [requestId, insightType, JSON.stringify(insightData)]
+      );
+      console.log('AI insight saved for request:', requestId);
+    } catch (error) {
+      console.error('Failed to save AI insight:', error.message);
+    }
+  },
+
+  // Set a user's role (student, moderator or admin); returns the user or undefined
+  async setUserRole(userId, role) {
+    const result = await pool.query(
+      'UPDATE users SET role = $2 WHERE id = $1 RETURNING id, email, name, role',
+      [userId, role]
+    );
+    return result.rows[0];
+  },
+
+  // Get user AI preferences
+  async getUserAIPreferences(userId) {
+    const result = await pool.query(
+      'SELECT * FROM user_ai_preferences WHERE user_id = $1',
+      [userId]
+    );
+    return result.rows[0];
+  },
+
+  // Update user AI preferences
+  async updateUserAIPreferences(userId, preferences) {
+    const { enableAISuggestions, enableSmartNotifications, preferredCategories, notificationRadius } = preferences;
+    
+    await pool.query(
+      `INSERT INTO user_ai_preferences 
+       (user_id, enable_ai_suggestions, enable_smart_notifications, preferred_categories, notification_radius_miles, updated_at)
+       VALUES ($1, $2, $3, $4, $5, NOW())
+       ON CONFLICT (user_id) DO UPDATE SET
+       enable_ai_suggestions = EXCLUDED.enable_ai_suggestions,
+       enable_smart_notifications = EXCLUDED.enable_smart_notifications,
+       preferred_categories = EXCLUDED.preferred_categories,
+       notification_radius_miles = EXCLUDED.notification_radius_miles,
+       updated_at = NOW()`,
+      [userId, enableAISuggestions, enableSmartNotifications, preferredCategories, notificationRadius]
+    );
+  },
+
+  // Save chat interaction
+  async saveChatInteraction(userId, message, response, context) {
+    await pool.query(
+      `INSERT INTO ai_chat_history (user_id, message, response, context)
+       VALUES ($1, $2, $3, $4)`,
+      [userId, message, response, JSON.stringify(context)]
+    );
+  },
+
+  // Get recent chat history for context
+  async getChatHistory(userId, limit = 5) {
+    const result = await pool.query(
+      `SELECT id, message, response, context, created_at 
+       FROM ai_chat_history 
+       WHERE user_id = $1 
+       ORDER BY created_at DESC, id DESC 
+       LIMIT $2`,
+      [userId, limit]
+    );
+    return result.rows.reverse();
+  },
+
+  // Delete one chat exchange; returns false if it isn't the user's
+  async deleteChatInteraction(userId, interactionId) {
+    const result = await pool.query(
+      'DELETE FROM ai_chat_history WHERE id = $1 AND user_id = $2',
+      [interactionId, userId]
+    );
+    return result.rowCount > 0;
+  },
+
+  // Clear a user's whole conversation; returns how many exchanges were deleted
+  async clearChatHistory(userId) {
+    const result = await pool.query(
+      'DELETE FROM ai_chat_history WHERE user_id = $1',
+      [userId]
+    );
+    return result.rowCount;
+  },
+
+  // Request and help counts the chat assistant uses as context
+  async getChatContextStats(userId) {
+    const result = await pool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM help_requests WHERE author_id = $1) as request_count,
+         (SELECT COUNT(DISTINCT request_id) FROM help_offers WHERE helper_id = $1) as help_count`,
+      [userId]
+    );
+    return {
+      requestCount: parseInt(result.rows[0].request_count) || 0,
+      helpCount: parseInt(result.rows[0].help_count) || 0
+    };
+  },
+
+  // Get a single request by id, or null
+  async getRequest(requestId) {
+    const result = await pool.query(
+      'SELECT * FROM help_requests WHERE id = $1',
+      [requestId]
+    );
+    return result.rows[0] || null;
+  },
+
+  // Get all helpers for a request
+  async getHelpersForRequest(requestId) {
+    const result = await pool.query(
+      `SELECT ho.*, u.email as helper_email
+       FROM help_offers ho
+       JOIN users u ON ho.helper_id = u.id
+       WHERE ho.request_id = $1
+       ORDER BY ho.created_at ASC`,
+      [requestId]
+    );
+    return result.rows;
+  },
+
+  // Accept a helper for a request. Requests needing several helpers stay
+  // Open until helpers_needed are accepted.
+  async acceptHelper(requestId, helperId, requestAuthorId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      // Verify requester is the author
+      const requestCheck = await client.query(
+        'SELECT author_id FROM help_requests WHERE id = $1',
+        [requestId]
+      );
+      
+      if (requestCheck.rows.length === 0) {
+        throw new Error('Request not found');
+      }
+      
+      if (requestCheck.rows[0].author_id !== requestAuthorId) {
+        throw new Error('Only the request author can accept helpers');
+      }
+      
+      const offer = await client.query(
+        'SELECT helper_name, status FROM help_offers WHERE request_id = $1 AND helper_id = $2',
+        [requestId, helperId]
+      );
+      
+      const offerStatus = offer.rows.length > 0 ? offer.rows[0].status : undefined;
+      if (offerStatus !== null && !['active', 'waitlisted', 'accepted'].includes(offerStatus)) {
+        throw new Error('Help offer not found');
+      }
+      
+      const request = await insertAcceptedOffer(
+        client, requestId, helperId, offer.rows[0].helper_name, ACTORS.AUTHOR, requestAuthorId
+      );
+      
+      await client.query('COMMIT');
+      
+      realtime.publish(realtime.eventTypes.HELPER_ACCEPTED, request, { helperId });
+      realtime.publish(realtime.eventTypes.STATUS_CHANGED, request, {
+        status: request.status
+      });
+      return request;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Complete a request
+  async completeRequest(requestId, requestAuthorId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      // Verify requester is the author
+      const requestCheck = await client.query(
+        'SELECT * FROM help_requests WHERE id = $1 FOR UPDATE',
+        [requestId]
+      );
+      
+      if (requestCheck.rows.length === 0) {
+        throw new Error('Request not found');
+      }
+      
+      if (requestCheck.rows[0].author_id !== requestAuthorId) {
+        throw new Error('Only the request author can complete the request');
+      }
+      
+      // Also marks the accepted helpers' offers as completed
+      const request = await applyStatusChange(
+        client, requestCheck.rows[0], STATUSES.COMPLETED, ACTORS.AUTHOR, requestAuthorId
+      );
+      
+      await client.query('COMMIT');
+      
+      realtime.publish(realtime.eventTypes.STATUS_CHANGED, request, {
+        status: request.status,
+        previousStatus: requestCheck.rows[0].status
+      });
+      return request;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Move a request to a status on behalf of its author, if the lifecycle
+  // allows it; moving to the current status is a no-op. Helpers complete
+  // their part through completeHelp instead, and Expired requests reopen
+  // through renewRequest, which also moves expires_at.
+  async updateRequestStatus(requestId, status, userId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      const current = await client.query(
+        'SELECT * FROM help_requests WHERE id = $1 FOR UPDATE',
+        [requestId]
+      );
+      
+      if (current.rows.length === 0) {
+        throw new Error('Request not found');
+      }
+      
+      const previous = current.rows[0];
+      if (previous.author_id !== userId) {
+        throw new Error('Only the request author can change its status');
+      }
+      
+      if (previous.status === status) {
+        await client.query('COMMIT');
+        return previous;
+      }
+      
+      if (previous.status === STATUSES.EXPIRED) {
+        throw new Error(`Cannot reopen an ${STATUSES.EXPIRED} request by status; renew it instead`);
+      }
+      
+      const request = await applyStatusChange(client, previous, status, ACTORS.AUTHOR, userId);
+      
+      await client.query('COMMIT');
+      
+      realtime.publish(realtime.eventTypes.STATUS_CHANGED, request, {
+        status: request.status,
+        previousStatus: previous.status
+      });
+      return request;
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // A helper marks their part done. When the last accepted helper finishes
+  // the request completes; helpers who were never accepted can't complete
+  // it, the author has to. Returns { request, activeHelpers }.
+  async completeHelp(requestId, helperId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      const requestResult = await client.query(
+        'SELECT * FROM help_requests WHERE id = $1 FOR UPDATE',
+        [requestId]
+      );
+      
+      if (requestResult.rows.length === 0) {
+        throw new Error('Request not found');
+      }
+      
+      const offer = await client.query(
+        `UPDATE help_offers 
+         SET completed_at = NOW()
+         WHERE request_id = $1 AND helper_id = $2
+           AND (status IS NULL OR status IN ('active', 'accepted'))
+         RETURNING status`,
+        [requestId, helperId]
+      );
+      
+      if (offer.rows.length === 0) {
+        throw new Error('You are not helping with this request');
+      }
+      
+      await insertRequestEvent(client, requestId, EVENT_TYPES.HELP_COMPLETED, {
+        actor: ACTORS.HELPER, actorId: helperId, helperId
+      });
+      
+      const activeHelpersResult = await client.query(
+        `SELECT COUNT(*) as count FROM help_offers 
+         WHERE request_id = $1 AND completed_at IS NULL
+           AND (status IS NULL OR status IN ('active', 'accepted'))`,
+        [requestId]
+      );
+      const activeHelpers = parseInt(activeHelpersResult.rows[0].count);
+      
+      const unfinishedResult = await client.query(
+        `SELECT COUNT(*) as count FROM help_offers 
+         WHERE request_id = $1 AND status = 'accepted' AND completed_at IS NULL`,
+        [requestId]
+      );
+      const lastAcceptedHelper = offer.rows[0].status === 'accepted' &&
+        parseInt(unfinishedResult.rows[0].count) === 0;
+      
+      const previous = requestResult.rows[0];
+      let request = previous;
+      if (lastAcceptedHelper &&
+          lifecycle.checkTransition(previous.status, STATUSES.COMPLETED, ACTORS.HELPER).allowed) {
+        request = await applyStatusChange(client, previous, STATUSES.COMPLETED, ACTORS.HELPER, helperId);
+      }
+      
+      await client.query('COMMIT');
+      
+      if (request.status !== previous.status) {
+        realtime.publish(realtime.eventTypes.STATUS_CHANGED, request, {
+          status: request.status,
+          previousStatus: previous.status
+        });
+      }
+      return { request, activeHelpers };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Cancel a help offer. When an accepted helper drops out, the longest-
+  // waiting helper on the waitlist takes their place; with nobody waiting a
+  // full request reopens. Returns { success, promotedHelperId }.
+  async cancelHelpOffer(requestId, helperId) {
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      const requestResult = await client.query(
+        'SELECT status FROM help_requests WHERE id = $1 FOR UPDATE',
+        [requestId]
+      );
+      
+      if (requestResult.rows.length === 0) {
+        throw new Error('Request not found');
+      }
+      
+      // Update help offer status to cancelled
+      const offer = await client.query(
+        `UPDATE help_offers ho
+         SET status = 'cancelled'
+         FROM (SELECT id, status FROM help_offers WHERE request_id = $1 AND helper_id = $2) previous
+         WHERE ho.id = previous.id
+         RETURNING previous.status AS previous_status`,
+        [requestId, helperId]
+      );
+      
+      if (offer.rows.length === 0) {
+        throw new Error('Help offer not found');
+      }
+      
+      const wasAccepted = offer.rows[0].previous_status === 'accepted';
+      
+      await insertRequestEvent(client, requestId, EVENT_TYPES.HELP_CANCELLED, {
+        actor: ACTORS.HELPER,
+        actorId: helperId,
+        helperId,
+        data: { offerStatus: offer.rows[0].previous_status }
+      });
+      
+      // Decrement helpers_count; hand accepted_helper_id to another accepted helper
+      let request = (await client.query(
+        `UPDATE help_requests 
+         SET helpers_count = GREATEST(0, helpers_count - 1),
+             accepted_helper_id = CASE WHEN accepted_helper_id = $2 THEN (
+               SELECT helper_id FROM help_offers
+               WHERE request_id = $1 AND status = 'accepted'
+               ORDER BY created_at, id
+               LIMIT 1
+             ) ELSE accepted_helper_id END,
+             updated_at = NOW()
+         WHERE id = $1
+         RETURNING *`,
+        [requestId, helperId]
+      )).rows[0];
+      
+      if (wasAccepted && request.status === STATUSES.IN_PROGRESS) {
+        request = await applyStatusChange(client, request, STATUSES.OPEN, ACTORS.SYSTEM);
+      }
+      
+      let promotedHelperId = null;
+      if (wasAccepted && lifecycle.isLive(request.status)) {
+        const next = await client.query(
+          `SELECT helper_id, helper_name FROM help_offers
+           WHERE request_id = $1 AND status = 'waitlisted'
+           ORDER BY created_at, id
+           LIMIT 1`,
+          [requestId]
+        );
+        
+        if (next.rows.length > 0) {
+          promotedHelperId = next.rows[0].helper_id;
+          request = await insertAcceptedOffer(
+            client, requestId, promotedHelperId, next.rows[0].helper_name, ACTORS.SYSTEM
+          );
+        }
+      }
+      
+      await client.query('COMMIT');
+      
+      realtime.publish(realtime.eventTypes.HELPER_CANCELLED, request, { helperId });
+      if (promotedHelperId) {
+        realtime.publish(realtime.eventTypes.HELPER_ACCEPTED, request, {
+          helperId: promotedHelperId,
+          promoted: true
+        });
+      }
+      if (request.status !== requestResult.rows[0].status) {
+        realtime.publish(realtime.eventTypes.STATUS_CHANGED, request, {
+          status: request.status,
+          previousStatus: requestResult.rows[0].status
+        });
+      }
+      return { success: true, promotedHelperId };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Resolve the author/helper thread a user is reading or writing.
+  // The author must name the helper; a helper always gets their own thread.
+  async resolveMessageThread(requestId, userId, helperId) {
+    const requestCheck = await pool.query(
+      'SELECT author_id FROM help_requests WHERE id = $1',
+      [requestId]
+    );
+    
+    if (requestCheck.rows.length === 0) {
+      throw new Error('Request not found');
+    }
+    
+    const authorId = requestCheck.rows[0].author_id;
+    const isAuthor = authorId === userId;
+    const threadHelperId = isAuthor ? helperId : userId;
+    
+    if (!threadHelperId) {
+      throw new Error('helperId is required for the request author');
+    }
+    
+    const offerCheck = await pool.query(
+      'SELECT 1 FROM help_offers WHERE request_id = $1 AND helper_id = $2',
+      [requestId, threadHelperId]
+    );
+    
+    if (offerCheck.rows.length === 0) {
+      throw new Error(isAuthor ?
+        'Helper not found on this request' :
+        'Only the request author and its helpers can message');
+    }
+    
+    return {
+      authorId,
+      helperId: threadHelperId,
+      recipientId: isAuthor ? threadHelperId : authorId
+    };
+  },
+
+  // Send a message within a thread
+  async sendMessage(requestId, thread, senderId, body) {
+    const result = await pool.query(
+      `INSERT INTO request_messages (request_id, helper_id, sender_id, recipient_id, body)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [requestId, thread.helperId, senderId, thread.recipientId, body]
+    );
+    return result.rows[0];
+  },
+
+  // Get a thread's messages newest-first
+  // page: { limit, cursor } from pagination.parsePageParams; fetches limit + 1 rows
+  async getMessages(requestId, helperId, page) {
+    const params = [requestId, helperId, page.limit + 1];
+    let cursorCondition = '';
+    if (page.cursor) {
+      params.push(page.cursor.createdAt, page.cursor.id);
+      cursorCondition = 'AND (m.created_at, m.id) < ($4::timestamp, $5::int)';
+    }
+    
+    const result = await pool.query(
+      `SELECT m.*, m.created_at::text AS cursor_created_at, u.name as sender_name
+       FROM request_messages m
+       JOIN users u ON m.sender_id = u.id
+       WHERE m.request_id = $1 AND m.helper_id = $2
+         ${cursorCondition}
+       ORDER BY m.created_at DESC, m.id DESC
+       LIMIT $3`,
+      params
+    );
+    return result.rows;
+  },
+
+  // Mark every message addressed to userId in a thread as read
+  async markMessagesRead(requestId, helperId, userId) {
+    const result = await pool.query(
+      `UPDATE request_messages
+       SET read_at = NOW()
+       WHERE request_id = $1 AND helper_id = $2 AND recipient_id = $3 AND read_at IS NULL`,
+      [requestId, helperId, userId]
+    );
+    return result.rowCount;
+  },
+
+  // Unread message counts per request for a user, as { requestId: count }
+  async getUnreadMessageCounts(userId, requestIds) {
+    const result = await pool.query(
+      `SELECT request_id, COUNT(*) as unread
+       FROM request_messages
+       WHERE recipient_id = $1 AND read_at IS NULL AND request_id = ANY($2::int[])
+       GROUP BY request_id`,
+      [userId, requestIds]
+    );
+    
+    const counts = {};
+    result.rows.forEach(row => {
+      counts[row.request_id] = parseInt(row.unread);
+    });
+    return counts;
+  },
+
+  // Remember where a user last browsed from, for nearby-request notifications
+  async updateUserLocation(userId, latitude, longitude) {
+    await pool.query(
+      `UPDATE users
+       SET last_latitude = $2, last_longitude = $3, location_updated_at = NOW()
+       WHERE id = $1`,
+      [userId, latitude, longitude]
+    );
+  },
+
+  // Users to notify about a new request: recently seen within their own
+  // notification radius, and either no preferred categories or a matching one
+  async findNotificationCandidates(request, limit) {
+    const result = await pool.query(
+      `SELECT u.id, u.name,
+         p.enable_smart_notifications,
+         p.preferred_categories,
+         earth_distance(ll_to_earth($1, $2), ll_to_earth(u.last_latitude::float8, u.last_longitude::float8))
+           / ${METERS_PER_MILE} as distance_miles,
+         (SELECT COUNT(*) FROM help_offers ho WHERE ho.helper_id = u.id) as help_count
+       FROM users u
+       JOIN user_ai_preferences p ON p.user_id = u.id
+       WHERE u.id != $3
+         AND u.last_latitude IS NOT NULL
+         AND u.location_updated_at > NOW() - INTERVAL '7 days'
+         AND earth_distance(ll_to_earth($1, $2), ll_to_earth(u.last_latitude::float8, u.last_longitude::float8))
+           <= COALESCE(p.notification_radius_miles, 2.0) * ${METERS_PER_MILE}
+         AND (
+           p.preferred_categories IS NULL
+           OR cardinality(p.preferred_categories) = 0
+           OR $4 = ANY(p.preferred_categories)
+           OR $5 = ANY(p.preferred_categories)
+         )
+       ORDER BY distance_miles ASC
+       LIMIT $6`,
+      [parseFloat(request.latitude), parseFloat(request.longitude), request.author_id,
+       request.ai_category, request.ai_category_name, limit]
+    );
+    return result.rows;
+  },
+
+  // Counts the achievement definitions are measured against
+  // (see achievement-service.js)
+  async getAchievementStats(userId) {
+    const result = await pool.query(
+      `SELECT
+         (SELECT COUNT(*) FROM help_requests WHERE author_id = $1) AS requests_made,
+         (SELECT COUNT(DISTINCT request_id) FROM help_offers WHERE helper_id = $1) AS people_helped,
+         (SELECT COUNT(*) FROM help_offers
+          WHERE helper_id = $1 AND (status = 'completed' OR completed_at IS NOT NULL)) AS helps_completed,
+         (SELECT COUNT(DISTINCT DATE_TRUNC('week', created_at)) FROM help_offers
+          WHERE helper_id = $1 AND created_at >= NOW() - INTERVAL '4 weeks') AS current_streak`,
+      [userId]
+    );
+    
+    const row = result.rows[0];
+    const requestsMade = parseInt(row.requests_made) || 0;
+    const peopleHelped = parseInt(row.people_helped) || 0;
+    return {
+      requestsMade,
+      peopleHelped,
+      helpsCompleted: parseInt(row.helps_completed) || 0,
+      currentStreak: parseInt(row.current_streak) || 0,
+      communityPoints: peopleHelped * 10 + requestsMade * 2
+    };
+  },
+
+  // A user's unlocked badges, oldest first
+  async getUserAchievements(userId) {
+    const result = await pool.query(
+      `SELECT * FROM user_achievements
+       WHERE user_id = $1
+       ORDER BY earned_at, achievement_id`,
+      [userId]
+    );
+    return result.rows;
+  },
+
+  // Record badges as unlocked now; ones the user already has keep their
+  // date. Returns only the rows that are new.
+  async awardAchievements(userId, achievementIds) {
+    const result = await pool.query(
+      `INSERT INTO user_achievements (user_id, achievement_id)
+       SELECT $1, unnest($2::text[])
+       ON CONFLICT (user_id, achievement_id) DO NOTHING
+       RETURNING *`,
+      [userId, achievementIds]
+    );
+    return result.rows;
+  },
+
+  // Helpers who finished their part of a request
+  async getCompletedHelperIds(requestId) {
+    const result = await pool.query(
+      `SELECT helper_id FROM help_offers
+       WHERE request_id = $1 AND (status = 'completed' OR completed_at IS NOT NULL)`,
+      [requestId]
+    );
+    return result.rows.map(row => row.helper_id);
+  },
+
+  // Add a notification to a user's inbox
+  async createNotification(userId, { requestId = null, type, body, data = null }) {
+    const result = await pool.query(
+      `INSERT INTO notifications (user_id, request_id, type, body, data)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [userId, requestId, type, body, data ? JSON.stringify(data) : null]
+    );
+    return result.rows[0];
+  },
+
+  // Get a user's notifications newest-first
+  // page: { limit, cursor } from pagination.parsePageParams; fetches limit + 1 rows
+  async getNotifications(userId, page) {
+    const params = [userId, page.limit + 1];
+    let cursorCondition = '';
+    if (page.cursor) {
+      params.push(page.cursor.createdAt, page.cursor.id);
+      cursorCondition = 'AND (created_at, id) < ($3::timestamp, $4::int)';
+    }
+    
+    const result = await pool.query(
+      `SELECT *, created_at::text AS cursor_created_at
+       FROM notifications
+       WHERE user_id = $1
+         ${cursorCondition}
+       ORDER BY created_at DESC, id DESC
+       LIMIT $2`,
+      params
+    );
+    return result.rows;
+  },
+
+  async getUnreadNotificationCount(userId) {
+    const result = await pool.query(
+      'SELECT COUNT(*) FROM notifications WHERE user_id = $1 AND read_at IS NULL',
+      [userId]
+    );
+    return parseInt(result.rows[0].count);
+  },
+
+  // Mark one notification read; returns false if it isn't the user's
+  async markNotificationRead(userId, notificationId) {
+    const result = await pool.query(
+      `UPDATE notifications
+       SET read_at = COALESCE(read_at, NOW())
+       WHERE id = $1 AND user_id = $2`,
+      [notificationId, userId]
+    );
+    return result.rowCount > 0;
+  },
+
+  async markAllNotificationsRead(userId) {
+    const result = await pool.query(
+      `UPDATE notifications
+       SET read_at = NOW()
+       WHERE user_id = $1 AND read_at IS NULL`,
+      [userId]
+    );
+    return result.rowCount;
+  },
+
+  // Register a device token, moving it to this user if another account had it
+  async registerDeviceToken(userId, token, environment) {
+    const result = await pool.query(
+      `INSERT INTO device_tokens (user_id, token, environment)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (token) DO UPDATE SET
+       user_id = EXCLUDED.user_id,
+       environment = EXCLUDED.environment,
+       updated_at = NOW()
+       RETURNING *`,
+      [userId, token, environment]
+    );
+    return result.rows[0];
+  },
+
+  async getDeviceTokens(userId) {
+    const result = await pool.query(
+      'SELECT token, environment FROM device_tokens WHERE user_id = $1',
+      [userId]
+    );
+    return result.rows;
+  },
+
+  // Remove a token; pass userId to only remove it if that user owns it
+  async deleteDeviceToken(token, userId = null) {
+    const result = userId ?
+      await pool.query('DELETE FROM device_tokens WHERE token = $1 AND user_id = $2', [token, userId]) :
+      await pool.query('DELETE FROM device_tokens WHERE token = $1', [token]);
+    return result.rowCount > 0;
+  },
+
+  // Leave a review on a completed request. The author reviews each accepted
+  // helper (naming revieweeId when there were several) and each accepted
+  // helper reviews the author, once per pair.
+  async createReview(requestId, reviewerId, rating, comment, revieweeId = null) {
+    const requestCheck = await pool.query(
+      'SELECT author_id, accepted_helper_id, status FROM help_requests WHERE id = $1',
+      [requestId]
+    );
+    
+    if (requestCheck.rows.length === 0) {
+      throw new Error('Request not found');
+    }
+    
+    const request = requestCheck.rows[0];
+    
+    if (request.status !== STATUSES.COMPLETED) {
+      throw new Error('Only completed requests can be reviewed');
+    }
+    
+    const helpersResult = await pool.query(
+      `SELECT helper_id FROM help_offers
+       WHERE request_id = $1 AND status IN ('accepted', 'completed')`,
+      [requestId]
+    );
+    const helperIds = helpersResult.rows.map(row => row.helper_id);
+    if (request.accepted_helper_id && !helperIds.includes(request.accepted_helper_id)) {
+      helperIds.push(request.accepted_helper_id);
+    }
+    
+    if (reviewerId === request.author_id) {
+      if (!revieweeId && helperIds.length > 1) {
+        throw new Error('Name the helper you are reviewing (revieweeId)');
+      }
+      revieweeId = revieweeId || helperIds[0];
+      if (!helperIds.includes(revieweeId)) {
+        throw new Error('Reviewee was not an accepted helper on this request');
+      }
+    } else if (helperIds.includes(reviewerId)) {
+      revieweeId = request.author_id;
+    } else {
+      throw new Error('Only the request author and accepted helpers can leave reviews');
+    }
+    
+    try {
+      const result = await pool.query(
+        `INSERT INTO reviews (request_id, reviewer_id, reviewee_id, rating, comment)
+         VALUES ($1, $2, $3, $4, $5)
+         RETURNING *`,
+        [requestId, reviewerId, revieweeId, rating, comment]
+      );
+      return result.rows[0];
+    } catch (error) {
+      if (error.code === '23505') {
+        throw new Error('You have already reviewed this request');
+      }
+      throw error;
+    }
+  },
+
+  // Average rating and count for each user, as { userId: { averageRating, ratingCount } }
+  async getRatingSummaries(userIds) {
+    const result = await pool.query(
+      `SELECT reviewee_id, AVG(rating) as average_rating, COUNT(*) as rating_count
+       FROM reviews
+       WHERE reviewee_id = ANY($1::varchar[])
+       GROUP BY reviewee_id`,
+      [userIds]
+    );
+    
+    const summaries = {};
+    result.rows.forEach(row => {
+      summaries[row.reviewee_id] = {
+        averageRating: Math.round(parseFloat(row.average_rating) * 10) / 10,
+        ratingCount: parseInt(row.rating_count)
+      };
+    });
+    return summaries;
+  },
+
+  // Rating breakdown and recent reviews for one user
+  async getUserRatings(userId, recentLimit = 10) {
+    const distributionResult = await pool.query(
+      `SELECT rating, COUNT(*) as count
+       FROM reviews
+       WHERE reviewee_id = $1
+       GROUP BY rating`,
+      [userId]
+    );
+    
+    const recentResult = await pool.query(
+      `SELECT rv.rating, rv.comment, rv.created_at, rv.request_id,
+              u.name as reviewer_name, hr.title as request_title
+       FROM reviews rv
+       JOIN users u ON rv.reviewer_id = u.id
+       JOIN help_requests hr ON rv.request_id = hr.id
+       WHERE rv.reviewee_id = $1
+       ORDER BY rv.created_at DESC
+       LIMIT $2`,
+      [userId, recentLimit]
+    );
+    
+    return {
+      distribution: distributionResult.rows,
+      recent: recentResult.rows
+    };
+  },
+
+  // Moderation items with their request, newest first
+  // page: { limit, cursor } from pagination.parsePageParams; fetches limit + 1 rows
+  async getModerationQueue(status, page) {
+    const params = [status, page.limit + 1];
+    let cursorCondition = '';
+    if (page.cursor) {
+      params.push(page.cursor.createdAt, page.cursor.id);
+      cursorCondition = 'AND (m.created_at, m.id) < ($3::timestamp, $4::int)';
+    }
+    
+    const result = await pool.query(
+      `SELECT m.*, m.created_at::text AS cursor_created_at,
+              r.title, r.description, r.author_id, r.author_name,
+              r.latitude, r.longitude, r.ai_category, r.created_at as request_created_at
+       FROM moderation_items m
+       JOIN help_requests r ON m.request_id = r.id
+       WHERE m.status = $1
+         ${cursorCondition}
+       ORDER BY m.created_at DESC, m.id DESC
+       LIMIT $2`,
+      params
+    );
+    return result.rows;
+  },
+
+  // Apply a moderator decision: approve publishes the request, reject keeps it
+  // hidden for good, escalate leaves it hidden for an admin to resolve
+  // moderator: { id, role } of the user deciding
+  async reviewModerationItem(itemId, decision, moderator, notes) {
+    const statusByDecision = { approve: 'approved', reject: 'rejected', escalate: 'escalated' };
+    const newStatus = statusByDecision[decision];
+    if (!newStatus) {
+      throw new Error('Invalid moderation decision: ' + decision);
+    }
+    
+    const client = await pool.connect();
+    try {
+      await client.query('BEGIN');
+      
+      const itemCheck = await client.query(
+        'SELECT * FROM moderation_items WHERE id = $1 FOR UPDATE',
+        [itemId]
+      );
+      
+      if (itemCheck.rows.length === 0) {
+        throw new Error('Moderation item not found');
+      }
+      
+      const item = itemCheck.rows[0];
+      if (!['pending', 'escalated'].includes(item.status) ||
+          (item.status === 'escalated' && newStatus === 'escalated')) {
+        throw new Error(`Moderation item is already ${item.status}`);
+      }
+      
+      if (item.status === 'escalated' && moderator.role !== 'admin') {
+        throw new Error('Only admins can resolve escalated items');
+      }
+      
+      const itemResult = await client.query(
+        `UPDATE moderation_items
+         SET status = $2, reviewed_by = $3, reviewed_at = NOW(), notes = $4
+         WHERE id = $1
+         RETURNING *`,
+        [itemId, newStatus, moderator.id, notes || null]
+      );
+      
+      let request = null;
+      if (newStatus !== 'escalated') {
+        const requestResult = await client.query(
+          `UPDATE help_requests
+           SET ai_safety_check = $2,
+               ai_safety_reason = CASE WHEN $2 = 'safe' THEN NULL ELSE ai_safety_reason END,
+               updated_at = NOW()
+           WHERE id = $1
+           RETURNING *`,
+          [item.request_id, newStatus === 'approved' ? 'safe' : 'rejected']
+        );
+        request = requestResult.rows[0];
+      }
+      
+      await client.query('COMMIT');
+      
+      if (newStatus === 'approved') {
+        realtime.publish(realtime.eventTypes.REQUEST_CREATED, request);
+      }
+      return { item: itemResult.rows[0], request };
+    } catch (error) {
+      await client.query('ROLLBACK');
+      throw error;
+    } finally {
+      client.release();
+    }
+  },
+
+  // Append one Anthropic call to the usage ledger
+  async recordAIUsage({
+    method, model, inputTokens, outputTokens, latencyMs, estimatedCostUsd, success, userId, fallbackFields
+  }) {
+    await pool.query(
+      `INSERT INTO ai_usage
+       (method, model, input_tokens, output_tokens, latency_ms, estimated_cost_usd, success, user_id, fallback_fields)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)`,
+      [method, model, inputTokens, outputTokens, latencyMs, estimatedCostUsd, success, userId || null,
+       fallbackFields || null]
+    );
+  },
+
+  // Estimated spend so far today and this calendar month, in USD
+  async getAISpend() {
+    const result = await pool.query(
+      `SELECT
+         COALESCE(SUM(estimated_cost_usd) FILTER (WHERE created_at >= date_trunc('day', NOW())), 0) AS daily,
+         COALESCE(SUM(estimated_cost_usd), 0) AS monthly
+       FROM ai_usage
+       WHERE created_at >= date_trunc('month', NOW())`
+    );
+    return {
+      daily: parseFloat(result.rows[0].daily),
+      monthly: parseFloat(result.rows[0].monthly)
+    };
+  },
+
+  // Usage since a date, broken down by method/model and by day
+  async getAIUsageReport(since) {
+    const byMethodResult = await pool.query(
+      `SELECT method, model,
+              COUNT(*) AS calls,
+              COUNT(*) FILTER (WHERE NOT success) AS failures,
+              COUNT(*) FILTER (WHERE cardinality(fallback_fields) > 0) AS fallbacks,
+              SUM(input_tokens) AS input_tokens,
+              SUM(output_tokens) AS output_tokens,
+              ROUND(AVG(latency_ms)) AS avg_latency_ms,
+              SUM(estimated_cost_usd) AS estimated_cost_usd
+       FROM ai_usage
+       WHERE created_at >= $1::timestamptz
+       GROUP BY method, model
+       ORDER BY estimated_cost_usd DESC`,
+      [since]
+    );
+
+    const byDayResult = await pool.query(
+      `SELECT date_trunc('day', created_at)::date::text AS day,
+              COUNT(*) AS calls,
+              SUM(input_tokens) AS input_tokens,
+              SUM(output_tokens) AS output_tokens,
+              SUM(estimated_cost_usd) AS estimated_cost_usd
+       FROM ai_usage
+       WHERE created_at >= $1::timestamptz
+       GROUP BY 1
+       ORDER BY 1 DESC`,
+      [since]
+    );
+
+    return {
+      byMethod: byMethodResult.rows,
+      byDay: byDayResult.rows
+    };
   }
 };
 
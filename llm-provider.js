@@ -0,0 +1,204 @@
+const fs = require('fs');
+const Anthropic = require('@anthropic-ai/sdk');
+
+// LLM providers share one interface:
+//   async complete(method, params, { signal }) -> result
+//   async stream(method, params, onText, { signal }) -> result, calling
+//     onText with each text delta as it is generated
+//   pricing(model) -> { input, output } in USD per million tokens
+// where params are Anthropic-style ({ model, max_tokens, system, messages }),
+// method is the AIService method making the call, and result is
+// { model, text, usage: { inputTokens, outputTokens } }.
+
+// USD per million tokens, for the usage ledger's cost estimates
+const ANTHROPIC_PRICING = {
+  'claude-sonnet-4-20250514': { input: 3, output: 15 },
+  'claude-3-5-haiku-20241022': { input: 0.8, output: 4 },
+  default: { input: 3, output: 15 }
+};
+
+function textOf(message) {
+  return message.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('');
+}
+
+function resultOf(message) {
+  return {
+    model: message.model,
+    text: textOf(message),
+    usage: {
+      inputTokens: message.usage?.input_tokens || 0,
+      outputTokens: message.usage?.output_tokens || 0
+    }
+  };
+}
+
+// Claude via the Anthropic API
+class AnthropicProvider {
+  constructor({ apiKey }) {
+    this.name = 'anthropic';
+    this.client = new Anthropic({ apiKey });
+  }
+
+  async complete(method, params, { signal } = {}) {
+    const message = await this.client.messages.create(params, { signal });
+    return resultOf(message);
+  }
+
+  async stream(method, params, onText, { signal } = {}) {
+    const stream = this.client.messages.stream(params, { signal });
+    stream.on('text', onText);
+    return resultOf(await stream.finalMessage());
+  }
+
+  pricing(model) {
+    return ANTHROPIC_PRICING[model] || ANTHROPIC_PRICING.default;
+  }
+}
+
+// Pull "Label: value" out of a prompt, for the local responders
+function promptField(prompt, label) {
+  const match = prompt.match(new RegExp(`^\\s*${label}:\\s*(.*)$`, 'm'));
+  return match ? match[1].trim() : '';
+}
+
+function lastUserMessage(params) {
+  const userMessages = params.messages.filter(m => m.role === 'user');
+  const content = userMessages[userMessages.length - 1]?.content;
+  return typeof content === 'string' ? content : '';
+}
+
+// Built-in answers for LocalProvider: always the same output for the same
+// prompt, in the shape each AIService method expects
+const LOCAL_RESPONDERS = {
+  categorizeRequest: (prompt) => JSON.stringify({
+    category: 'other',
+    suggestedTitle: promptField(prompt, 'Request Title'),
+    estimatedTime: 30,
+    detectedUrgency: promptField(prompt, 'User-Selected Urgency') || 'Medium',
+    tags: [],
+    safetyCheck: 'safe',
+    safetyReason: null
+  }),
+  performSafetyCheck: () => JSON.stringify({ isSafe: true, flaggedCategory: null, reason: null, severity: null }),
+  improveRequest: (prompt) => JSON.stringify({
+    improvedTitle: promptField(prompt, 'Original Title'),
+    improvedDescription: promptField(prompt, 'Original Description'),
+    suggestions: []
+  }),
+  generateNotification: (prompt) => `New request nearby: ${promptField(prompt, 'Request')}`,
+  chatAssistant: (prompt) => `The assistant is running offline. You asked: "${prompt}"`,
+  detectDuplicates: () => '[]',
+  generateWeeklySummary: () => 'Thanks for helping your fellow Bears this week. Keep it up!'
+};
+
+/**
+ * Offline provider for development and tests. Answers come from a script
+ * when one is queued for the method, otherwise from LOCAL_RESPONDERS.
+ * A script maps method names to arrays of responses, served in order; a
+ * response is a string, or { error } to make that call fail.
+ * options.recordCalls keeps every call in this.calls for tests to inspect.
+ */
+class LocalProvider {
+  constructor(script = {}, { recordCalls = false } = {}) {
+    this.name = 'local';
+    this.scripts = {};
+    this.recordCalls = recordCalls;
+    this.calls = [];
+    Object.entries(script).forEach(([method, responses]) => this.script(method, ...responses));
+  }
+
+  // Queue responses for a method's next calls
+  script(method, ...responses) {
+    this.scripts[method] = (this.scripts[method] || []).concat(responses);
+  }
+
+  respond(method, params) {
+    if (this.recordCalls) {
+      this.calls.push({ method, params });
+    }
+
+    const scripted = this.scripts[method];
+    if (scripted && scripted.length > 0) {
+      const response = scripted.shift();
+      if (response && response.error) {
+        throw new Error(response.error);
+      }
+      return response;
+    }
+
+    const responder = LOCAL_RESPONDERS[method];
+    if (!responder) {
+      throw new Error('LocalProvider has no response for ' + method);
+    }
+    return responder(lastUserMessage(params));
+  }
+
+  resultFor(params, text) {
+    // Rough token counts so the usage ledger still has something to show
+    const promptLength = (params.system || '').length +
+      params.messages.reduce((sum, m) => sum + String(m.content).length, 0);
+    return {
+      model: params.model,
+      text,
+      usage: {
+        inputTokens: Math.ceil(promptLength / 4),
+        outputTokens: Math.ceil(text.length / 4)
+      }
+    };
+  }
+
+  async complete(method, params, { signal } = {}) {
+    if (signal?.aborted) throw new Error('Request was aborted');
+    return this.resultFor(params, this.respond(method, params));
+  }
+
+  async stream(method, params, onText, { signal } = {}) {
+    const text = this.respond(method, params);
+
+    // Deliver in small chunks so streaming clients see several deltas
+    for (const chunk of text.match(/[\s\S]{1,16}/g) || []) {
+      if (signal?.aborted) throw new Error('Request was aborted');
+      onText(chunk);
+      await new Promise(resolve => setImmediate(resolve));
+    }
+
+    return this.resultFor(params, text);
+  }
+
+  pricing() {
+    return { input: 0, output: 0 };
+  }
+}
+
+// AI_PROVIDER picks the provider: anthropic or local (opt-in only).
+// Defaults to anthropic when ANTHROPIC_API_KEY is set; otherwise returns
+// null and AIService uses its keyword-only fallbacks.
+// LLM_SCRIPT_PATH optionally points LocalProvider at a JSON script file.
+function createProvider() {
+  const provider = process.env.AI_PROVIDER || (process.env.ANTHROPIC_API_KEY ? 'anthropic' : null);
+
+  if (!provider) {
+    return null;
+  }
+
+  if (provider === 'anthropic') {
+    if (!process.env.ANTHROPIC_API_KEY) {
+      throw new Error('AI_PROVIDER=anthropic requires ANTHROPIC_API_KEY');
+    }
+    return new AnthropicProvider({ apiKey: process.env.ANTHROPIC_API_KEY });
+  }
+
+  if (provider === 'local') {
+    const script = process.env.LLM_SCRIPT_PATH ?
+      JSON.parse(fs.readFileSync(process.env.LLM_SCRIPT_PATH, 'utf8')) :
+      {};
+    return new LocalProvider(script);
+  }
+
+  throw new Error('Unknown AI_PROVIDER: ' + provider);
+}
+
+module.exports = { AnthropicProvider, LocalProvider, createProvider };
@@ -0,0 +1,187 @@
+const fs = require('fs');
+const path = require('path');
+
+// Versioned schema migrations.
+// Each file in migrations/ is named NNN_description.js and exports
+// async up(client) / down(client). Applied versions are recorded in
+// schema_migrations; each step runs in its own transaction.
+//
+// Usage:
+//   node migrate.js up            Apply all pending migrations
+//   node migrate.js down [steps]  Roll back the last N migrations (default 1)
+//   node migrate.js status        List applied and pending migrations
+
+const MIGRATIONS_DIR = path.join(__dirname, 'migrations');
+
+// Arbitrary app-wide key for pg_advisory_lock, so two instances booting
+// at once apply migrations one after the other instead of racing
+const MIGRATION_LOCK_KEY = 4827301;
+
+// Load migration files in version order
+function loadMigrations() {
+  return fs.readdirSync(MIGRATIONS_DIR)
+    .filter(file => /^\d+_.+\.js$/.test(file))
+    .map(file => {
+      const [version] = file.split('_');
+      const migration = require(path.join(MIGRATIONS_DIR, file));
+      return {
+        version: parseInt(version),
+        name: file.replace(/\.js$/, ''),
+        up: migration.up,
+        down: migration.down
+      };
+    })
+    .sort((a, b) => a.version - b.version);
+}
+
+async function ensureMigrationsTable(client) {
+  await client.query(`
+    CREATE TABLE IF NOT EXISTS schema_migrations (
+      version INTEGER PRIMARY KEY,
+      name VARCHAR(255) NOT NULL,
+      applied_at TIMESTAMP DEFAULT NOW()
+    )
+  `);
+}
+
+async function getAppliedVersions(client) {
+  // Read-only check so status works before the first `up`
+  const exists = await client.query(`SELECT to_regclass('schema_migrations') AS table_name`);
+  if (!exists.rows[0].table_name) {
+    return new Set();
+  }
+
+  const result = await client.query('SELECT version FROM schema_migrations');
+  return new Set(result.rows.map(row => row.version));
+}
+
+// Run fn on a dedicated client while holding the migration lock
+async function withMigrationLock(pool, fn) {
+  const client = await pool.connect();
+  try {
+    await client.query('SELECT pg_advisory_lock($1)', [MIGRATION_LOCK_KEY]);
+    try {
+      await ensureMigrationsTable(client);
+      return await fn(client);
+    } finally {
+      await client.query('SELECT pg_advisory_unlock($1)', [MIGRATION_LOCK_KEY]);
+    }
+  } finally {
+    client.release();
+  }
+}
+
+async function runStep(client, migration, direction) {
+  await client.query('BEGIN');
+  try {
+    await migration[direction](client);
+
+    if (direction === 'up') {
+      await client.query(
+        'INSERT INTO schema_migrations (version, name) VALUES ($1, $2)',
+        [migration.version, migration.name]
+      );
+    } else {
+      await client.query('DELETE FROM schema_migrations WHERE version = $1', [migration.version]);
+    }
+
+    await client.query('COMMIT');
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw new Error(`Migration ${migration.name} (${direction}) failed: ${error.message}`);
+  }
+}
+
+/**
+ * Apply all pending migrations
+ * @param {Object} pool - pg Pool
+ * @returns {Promise<Array>} Names of the migrations applied
+ */
+async function migrateUp(pool) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const pending = loadMigrations().filter(m => !applied.has(m.version));
+
+    for (const migration of pending) {
+      console.log('Applying migration ' + migration.name);
+      await runStep(client, migration, 'up');
+    }
+
+    return pending.map(m => m.name);
+  });
+}
+
+/**
+ * Roll back the most recently applied migrations
+ * @param {Object} pool - pg Pool
+ * @param {number} steps - How many migrations to roll back
+ * @returns {Promise<Array>} Names of the migrations rolled back
+ */
+async function migrateDown(pool, steps = 1) {
+  return withMigrationLock(pool, async (client) => {
+    const applied = await getAppliedVersions(client);
+    const toRollBack = loadMigrations()
+      .filter(m => applied.has(m.version))
+      .reverse()
+      .slice(0, steps);
+
+    for (const migration of toRollBack) {
+      console.log('Rolling back migration ' + migration.name);
+      await runStep(client, migration, 'down');
+    }
+
+    return toRollBack.map(m => m.name);
+  });
+}
+
+/**
+ * Report which migrations are applied and which are pending
+ * @param {Object} pool - pg Pool
+ * @returns {Promise<Object>} { applied: [...names], pending: [...names] }
+ */
+async function getMigrationStatus(pool) {
+  const applied = await getAppliedVersions(pool);
+  const migrations = loadMigrations();
+
+  return {
+    applied: migrations.filter(m => applied.has(m.version)).map(m => m.name),
+    pending: migrations.filter(m => !applied.has(m.version)).map(m => m.name)
+  };
+}
+
+module.exports = { migrateUp, migrateDown, getMigrationStatus };
+
+// CLI entry point
+if (require.main === module) {
+  const { pool } = require('./database');
+  const [command = 'up', arg] = process.argv.slice(2);
+
+  const run = async () => {
+    if (command === 'up') {
+      const applied = await migrateUp(pool);
+      console.log(applied.length > 0 ? `Applied ${applied.length} migration(s)` : 'Database is up to date');
+    } else if (command === 'down') {
+      const steps = arg === undefined ? 1 : parseInt(arg);
+      if (isNaN(steps) || steps < 1) {
+        throw new Error('down expects a positive number of steps');
+      }
+      const rolledBack = await migrateDown(pool, steps);
+      console.log(`Rolled back ${rolledBack.length} migration(s)`);
+    } else if (command === 'status') {
+      const { applied, pending } = await getMigrationStatus(pool);
+      applied.forEach(name => console.log('  applied  ' + name));
+      pending.forEach(name => console.log('  pending  ' + name));
+      console.log(`${applied.length} applied, ${pending.length} pending`);
+    } else {
+      throw new Error('Unknown command: ' + command + ' (expected up, down or status)');
+    }
+  };
+
+  run()
+    .then(() => pool.end())
+    .catch(async (error) => {
+      console.error(error.message);
+      await pool.end();
+      process.exit(1);
+    });
+}
@@ -0,0 +1,87 @@
+// Base tables. Columns added by later migrations are left out here so that
+// each migration's down step undoes exactly what its up step added.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS users (
+        id VARCHAR(255) PRIMARY KEY,
+        email VARCHAR(255) UNIQUE NOT NULL,
+        name VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS help_requests (
+        id SERIAL PRIMARY KEY,
+        title VARCHAR(500) NOT NULL,
+        description TEXT NOT NULL,
+        latitude DECIMAL(10, 8) NOT NULL,
+        longitude DECIMAL(11, 8) NOT NULL,
+        contact VARCHAR(255) NOT NULL,
+        urgency_level VARCHAR(20) DEFAULT 'Medium',
+        status VARCHAR(20) DEFAULT 'Open',
+        author_id VARCHAR(255) REFERENCES users(id),
+        author_name VARCHAR(255) NOT NULL,
+        helpers_count INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS help_offers (
+        id SERIAL PRIMARY KEY,
+        request_id INTEGER REFERENCES help_requests(id),
+        helper_id VARCHAR(255) REFERENCES users(id),
+        helper_name VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(request_id, helper_id)
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ai_insights (
+        id SERIAL PRIMARY KEY,
+        request_id INTEGER REFERENCES help_requests(id),
+        insight_type VARCHAR(50) NOT NULL,
+        insight_data JSONB NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_ai_preferences (
+        user_id VARCHAR(255) PRIMARY KEY REFERENCES users(id),
+        enable_ai_suggestions BOOLEAN DEFAULT true,
+        enable_smart_notifications BOOLEAN DEFAULT true,
+        preferred_categories TEXT[],
+        notification_radius_miles DECIMAL(5, 2) DEFAULT 2.0,
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ai_chat_history (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) REFERENCES users(id),
+        message TEXT NOT NULL,
+        response TEXT NOT NULL,
+        context JSONB,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS ai_chat_history;
+      DROP TABLE IF EXISTS user_ai_preferences;
+      DROP TABLE IF EXISTS ai_insights;
+      DROP TABLE IF EXISTS help_offers;
+      DROP TABLE IF EXISTS help_requests;
+      DROP TABLE IF EXISTS users;
+    `);
+  }
+};
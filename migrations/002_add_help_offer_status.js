@@ -0,0 +1,18 @@
+// Track each offer's lifecycle (active/accepted/rejected/completed/cancelled)
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE help_offers
+        ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'active',
+        ADD COLUMN IF NOT EXISTS completed_at TIMESTAMP
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE help_offers
+        DROP COLUMN IF EXISTS completed_at,
+        DROP COLUMN IF EXISTS status
+    `);
+  }
+};
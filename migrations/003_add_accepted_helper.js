@@ -0,0 +1,15 @@
+// The helper the author picked in acceptHelper
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE help_requests
+        ADD COLUMN IF NOT EXISTS accepted_helper_id VARCHAR(255) REFERENCES users(id)
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE help_requests DROP COLUMN IF EXISTS accepted_helper_id
+    `);
+  }
+};
@@ -0,0 +1,28 @@
+// AI categorization and safety results stored on each request
+const columns = [
+  { name: 'ai_category', type: 'VARCHAR(50)' },
+  { name: 'ai_category_icon', type: 'VARCHAR(10)' },
+  { name: 'ai_category_name', type: 'VARCHAR(100)' },
+  { name: 'ai_detected_urgency', type: 'VARCHAR(20)' },
+  { name: 'ai_estimated_time', type: 'INTEGER' },
+  { name: 'ai_tags', type: 'TEXT[]' },
+  { name: 'ai_suggested_title', type: 'VARCHAR(500)' },
+  { name: 'ai_safety_check', type: "VARCHAR(20) DEFAULT 'safe'" },
+  { name: 'ai_safety_reason', type: 'TEXT' }
+];
+
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE help_requests
+        ${columns.map(c => `ADD COLUMN IF NOT EXISTS ${c.name} ${c.type}`).join(',\n        ')}
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      ALTER TABLE help_requests
+        ${columns.map(c => `DROP COLUMN IF EXISTS ${c.name}`).join(',\n        ')}
+    `);
+  }
+};
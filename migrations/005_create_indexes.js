@@ -0,0 +1,21 @@
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE INDEX IF NOT EXISTS idx_requests_status ON help_requests(status);
+      CREATE INDEX IF NOT EXISTS idx_requests_created ON help_requests(created_at);
+      CREATE INDEX IF NOT EXISTS idx_requests_category ON help_requests(ai_category);
+      CREATE INDEX IF NOT EXISTS idx_ai_insights_request ON ai_insights(request_id);
+      CREATE INDEX IF NOT EXISTS idx_chat_history_user ON ai_chat_history(user_id);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_chat_history_user;
+      DROP INDEX IF EXISTS idx_ai_insights_request;
+      DROP INDEX IF EXISTS idx_requests_category;
+      DROP INDEX IF EXISTS idx_requests_created;
+      DROP INDEX IF EXISTS idx_requests_status;
+    `);
+  }
+};
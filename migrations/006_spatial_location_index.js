@@ -0,0 +1,20 @@
+// earthdistance (needs cube) backs the radius/nearest queries in getActiveRequests.
+// Replaces the old lat/lon B-tree with a GiST index over earth coordinates.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE EXTENSION IF NOT EXISTS cube;
+      CREATE EXTENSION IF NOT EXISTS earthdistance;
+      DROP INDEX IF EXISTS idx_requests_location;
+      CREATE INDEX IF NOT EXISTS idx_requests_earth_location
+        ON help_requests USING gist (ll_to_earth(latitude::float8, longitude::float8));
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_requests_earth_location;
+      CREATE INDEX IF NOT EXISTS idx_requests_location ON help_requests(latitude, longitude);
+    `);
+  }
+};
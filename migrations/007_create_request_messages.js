@@ -0,0 +1,25 @@
+// Message threads on a request. A thread is the author plus one helper,
+// keyed by (request_id, helper_id); sender/recipient are either side.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS request_messages (
+        id SERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL REFERENCES help_requests(id),
+        helper_id VARCHAR(255) NOT NULL REFERENCES users(id),
+        sender_id VARCHAR(255) NOT NULL REFERENCES users(id),
+        recipient_id VARCHAR(255) NOT NULL REFERENCES users(id),
+        body TEXT NOT NULL,
+        created_at TIMESTAMP DEFAULT NOW(),
+        read_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_messages_thread ON request_messages(request_id, helper_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_messages_unread ON request_messages(recipient_id) WHERE read_at IS NULL;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS request_messages`);
+  }
+};
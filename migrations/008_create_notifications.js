@@ -0,0 +1,37 @@
+// Per-user notification inbox, plus each user's last reported location
+// so new requests can be matched against notification_radius_miles
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS last_latitude DECIMAL(10, 8),
+        ADD COLUMN IF NOT EXISTS last_longitude DECIMAL(11, 8),
+        ADD COLUMN IF NOT EXISTS location_updated_at TIMESTAMP;
+
+      CREATE TABLE IF NOT EXISTS notifications (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(id),
+        request_id INTEGER REFERENCES help_requests(id),
+        type VARCHAR(50) NOT NULL,
+        body TEXT NOT NULL,
+        data JSONB,
+        created_at TIMESTAMP DEFAULT NOW(),
+        read_at TIMESTAMP
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_notifications_user ON notifications(user_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_notifications_unread ON notifications(user_id) WHERE read_at IS NULL;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS notifications;
+
+      ALTER TABLE users
+        DROP COLUMN IF EXISTS location_updated_at,
+        DROP COLUMN IF EXISTS last_longitude,
+        DROP COLUMN IF EXISTS last_latitude;
+    `);
+  }
+};
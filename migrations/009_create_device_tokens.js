@@ -0,0 +1,23 @@
+// APNs device tokens. A token belongs to whoever registered it last
+// (devices change hands when users sign out and back in).
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS device_tokens (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(255) NOT NULL REFERENCES users(id),
+        token VARCHAR(200) UNIQUE NOT NULL,
+        platform VARCHAR(20) DEFAULT 'ios',
+        environment VARCHAR(20) DEFAULT 'production',
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_device_tokens_user ON device_tokens(user_id);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS device_tokens`);
+  }
+};
@@ -0,0 +1,23 @@
+// Ratings the requester and accepted helper leave each other, once per request
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reviews (
+        id SERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL REFERENCES help_requests(id),
+        reviewer_id VARCHAR(255) NOT NULL REFERENCES users(id),
+        reviewee_id VARCHAR(255) NOT NULL REFERENCES users(id),
+        rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        comment TEXT,
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE(request_id, reviewer_id)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_reviews_reviewee ON reviews(reviewee_id, created_at);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS reviews`);
+  }
+};
@@ -0,0 +1,27 @@
+// Flagged submissions held for moderator review. The request itself is stored
+// in help_requests with ai_safety_check = 'flagged' so approving publishes it as-is.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS moderation_items (
+        id SERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL REFERENCES help_requests(id),
+        flagged_category VARCHAR(50),
+        severity VARCHAR(20),
+        matched_keyword VARCHAR(100),
+        reason TEXT,
+        status VARCHAR(20) DEFAULT 'pending',
+        reviewed_by VARCHAR(255) REFERENCES users(id),
+        reviewed_at TIMESTAMP,
+        notes TEXT,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_moderation_status ON moderation_items(status, created_at);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS moderation_items`);
+  }
+};
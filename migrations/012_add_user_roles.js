@@ -0,0 +1,14 @@
+// Roles for authorization: student (default), moderator, admin
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE users
+        ADD COLUMN IF NOT EXISTS role VARCHAR(20) NOT NULL DEFAULT 'student'
+          CHECK (role IN ('student', 'moderator', 'admin'))
+    `);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE users DROP COLUMN IF EXISTS role`);
+  }
+};
@@ -0,0 +1,20 @@
+// Fixed-window request counters for RATE_LIMIT_STORE=postgres,
+// shared across instances
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS rate_limit_counters (
+        bucket_key VARCHAR(255) NOT NULL,
+        window_start TIMESTAMP NOT NULL,
+        count INTEGER NOT NULL DEFAULT 0,
+        PRIMARY KEY (bucket_key, window_start)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_rate_limit_window ON rate_limit_counters(window_start);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS rate_limit_counters`);
+  }
+};
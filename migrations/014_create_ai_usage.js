@@ -0,0 +1,25 @@
+// One row per Anthropic call, for cost reporting and the AI budget
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS ai_usage (
+        id SERIAL PRIMARY KEY,
+        method VARCHAR(50) NOT NULL,
+        model VARCHAR(100) NOT NULL,
+        input_tokens INTEGER NOT NULL DEFAULT 0,
+        output_tokens INTEGER NOT NULL DEFAULT 0,
+        latency_ms INTEGER,
+        estimated_cost_usd NUMERIC(12, 6) NOT NULL DEFAULT 0,
+        success BOOLEAN NOT NULL DEFAULT true,
+        user_id VARCHAR(255),
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_ai_usage_created ON ai_usage(created_at);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS ai_usage`);
+  }
+};
@@ -0,0 +1,28 @@
+// Prior versions of edited requests, one row per edit
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS request_revisions (
+        id SERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL REFERENCES help_requests(id) ON DELETE CASCADE,
+        revision_number INTEGER NOT NULL,
+        title VARCHAR(500) NOT NULL,
+        description TEXT NOT NULL,
+        latitude DECIMAL(10, 8) NOT NULL,
+        longitude DECIMAL(11, 8) NOT NULL,
+        contact VARCHAR(255),
+        urgency_level VARCHAR(20),
+        ai_category VARCHAR(50),
+        ai_safety_check VARCHAR(20),
+        changed_fields TEXT[] NOT NULL,
+        edited_by VARCHAR(255) REFERENCES users(id),
+        created_at TIMESTAMP DEFAULT NOW(),
+        UNIQUE (request_id, revision_number)
+      );
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS request_revisions`);
+  }
+};
@@ -0,0 +1,35 @@
+// Explicit expiry per request, replacing the fixed 24/48 hour windows.
+// Existing requests get the old 48 hour lifetime; visible Open ones already
+// past it are marked Expired here so the expiry job doesn't notify their
+// authors. In Progress and moderated requests are left alone, as the job does.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE help_requests ADD COLUMN IF NOT EXISTS expires_at TIMESTAMP;
+
+      UPDATE help_requests
+      SET expires_at = created_at + INTERVAL '48 hours'
+      WHERE expires_at IS NULL;
+
+      UPDATE help_requests
+      SET status = 'Expired'
+      WHERE expires_at <= NOW()
+        AND LOWER(status) = 'open'
+        AND (ai_safety_check = 'safe' OR ai_safety_check IS NULL);
+
+      ALTER TABLE help_requests
+        ALTER COLUMN expires_at SET DEFAULT NOW() + INTERVAL '48 hours',
+        ALTER COLUMN expires_at SET NOT NULL;
+
+      CREATE INDEX IF NOT EXISTS idx_requests_expires_at ON help_requests(expires_at);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      UPDATE help_requests SET status = 'Open' WHERE status = 'Expired';
+      DROP INDEX IF EXISTS idx_requests_expires_at;
+      ALTER TABLE help_requests DROP COLUMN IF EXISTS expires_at;
+    `);
+  }
+};
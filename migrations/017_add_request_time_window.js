@@ -0,0 +1,27 @@
+// Optional window in which a request is needed ("Saturday 2-5pm").
+// Requests without one are needed from when they're posted.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE help_requests
+        ADD COLUMN IF NOT EXISTS needed_from TIMESTAMP,
+        ADD COLUMN IF NOT EXISTS needed_until TIMESTAMP;
+
+      ALTER TABLE help_requests
+        ADD CONSTRAINT help_requests_needed_window_check
+        CHECK (needed_from IS NULL OR needed_until IS NULL OR needed_until > needed_from);
+
+      CREATE INDEX IF NOT EXISTS idx_requests_needed_from ON help_requests(needed_from);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_requests_needed_from;
+      ALTER TABLE help_requests
+        DROP CONSTRAINT IF EXISTS help_requests_needed_window_check,
+        DROP COLUMN IF EXISTS needed_until,
+        DROP COLUMN IF EXISTS needed_from;
+    `);
+  }
+};
@@ -0,0 +1,59 @@
+// Recurring requests. A series holds the request content and its
+// recurrence rule; the scheduler posts each occurrence as its own
+// help_requests row pointing back at the series.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS request_series (
+        id SERIAL PRIMARY KEY,
+        author_id VARCHAR(255) NOT NULL REFERENCES users(id),
+        author_name VARCHAR(255) NOT NULL,
+        title VARCHAR(500) NOT NULL,
+        description TEXT NOT NULL,
+        latitude DECIMAL(10, 8) NOT NULL,
+        longitude DECIMAL(11, 8) NOT NULL,
+        contact VARCHAR(255) NOT NULL DEFAULT '',
+        urgency_level VARCHAR(20) DEFAULT 'Medium',
+        ai_category VARCHAR(50),
+        ai_category_icon VARCHAR(10),
+        ai_category_name VARCHAR(100),
+        ai_detected_urgency VARCHAR(20),
+        ai_estimated_time INTEGER,
+        ai_tags TEXT[],
+        ai_suggested_title VARCHAR(500),
+        frequency VARCHAR(10) NOT NULL CHECK (frequency IN ('daily', 'weekly')),
+        days_of_week INTEGER[],
+        starts_at TIMESTAMP NOT NULL,
+        duration_minutes INTEGER NOT NULL,
+        until_at TIMESTAMP,
+        max_occurrences INTEGER,
+        time_zone VARCHAR(64) NOT NULL,
+        status VARCHAR(20) NOT NULL DEFAULT 'active'
+          CHECK (status IN ('active', 'paused', 'cancelled', 'ended')),
+        next_occurrence_at TIMESTAMP,
+        standing_helper_id VARCHAR(255) REFERENCES users(id),
+        standing_helper_name VARCHAR(255),
+        created_at TIMESTAMP DEFAULT NOW(),
+        updated_at TIMESTAMP DEFAULT NOW(),
+        CHECK (until_at IS NOT NULL OR max_occurrences IS NOT NULL)
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_series_author ON request_series(author_id);
+      CREATE INDEX IF NOT EXISTS idx_series_due ON request_series(next_occurrence_at)
+        WHERE status = 'active';
+
+      ALTER TABLE help_requests
+        ADD COLUMN IF NOT EXISTS series_id INTEGER REFERENCES request_series(id);
+
+      CREATE INDEX IF NOT EXISTS idx_requests_series ON help_requests(series_id);
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP INDEX IF EXISTS idx_requests_series;
+      ALTER TABLE help_requests DROP COLUMN IF EXISTS series_id;
+      DROP TABLE IF EXISTS request_series;
+    `);
+  }
+};
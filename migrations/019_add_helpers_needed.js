@@ -0,0 +1,45 @@
+// Requests that need several helpers. Offers past the needed count wait on
+// a 'waitlisted' offer status (no schema change; status is free text).
+// Reviews become one per reviewer and reviewee, so an author can rate each
+// helper on a request.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE help_requests
+        ADD COLUMN IF NOT EXISTS helpers_needed INTEGER NOT NULL DEFAULT 1
+          CHECK (helpers_needed BETWEEN 1 AND 10);
+
+      ALTER TABLE request_series
+        ADD COLUMN IF NOT EXISTS helpers_needed INTEGER NOT NULL DEFAULT 1
+          CHECK (helpers_needed BETWEEN 1 AND 10);
+
+      ALTER TABLE reviews
+        DROP CONSTRAINT IF EXISTS reviews_request_id_reviewer_id_key,
+        ADD CONSTRAINT reviews_request_reviewer_reviewee_key UNIQUE (request_id, reviewer_id, reviewee_id);
+
+      CREATE INDEX IF NOT EXISTS idx_offers_request_status ON help_offers(request_id, status);
+    `);
+  },
+
+  async down(client) {
+    // Extra reviews of multi-helper requests can't fit the old constraint
+    await client.query(`
+      DROP INDEX IF EXISTS idx_offers_request_status;
+
+      DELETE FROM reviews r
+      USING reviews earlier
+      WHERE r.request_id = earlier.request_id
+        AND r.reviewer_id = earlier.reviewer_id
+        AND r.id > earlier.id;
+
+      ALTER TABLE reviews
+        DROP CONSTRAINT IF EXISTS reviews_request_reviewer_reviewee_key,
+        ADD CONSTRAINT reviews_request_id_reviewer_id_key UNIQUE (request_id, reviewer_id);
+
+      UPDATE help_offers SET status = 'rejected' WHERE status = 'waitlisted';
+
+      ALTER TABLE request_series DROP COLUMN IF EXISTS helpers_needed;
+      ALTER TABLE help_requests DROP COLUMN IF EXISTS helpers_needed;
+    `);
+  }
+};
@@ -0,0 +1,34 @@
+// One spelling per request status (see request-lifecycle.js). Rows written
+// as 'completed'/'cancelled' by older code paths are rewritten, and a CHECK
+// keeps new ones in line.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      UPDATE help_requests
+      SET status = CASE LOWER(REPLACE(TRIM(status), '_', ' '))
+        WHEN 'in progress' THEN 'In Progress'
+        WHEN 'completed' THEN 'Completed'
+        WHEN 'cancelled' THEN 'Cancelled'
+        WHEN 'canceled' THEN 'Cancelled'
+        WHEN 'expired' THEN 'Expired'
+        ELSE 'Open'
+      END
+      WHERE status IS NULL
+         OR status NOT IN ('Open', 'In Progress', 'Completed', 'Cancelled', 'Expired');
+
+      ALTER TABLE help_requests
+        ALTER COLUMN status SET NOT NULL,
+        ADD CONSTRAINT help_requests_status_check
+          CHECK (status IN ('Open', 'In Progress', 'Completed', 'Cancelled', 'Expired'));
+    `);
+  },
+
+  // The old mixed spellings aren't restored; both casings were read the same
+  async down(client) {
+    await client.query(`
+      ALTER TABLE help_requests
+        DROP CONSTRAINT IF EXISTS help_requests_status_check,
+        ALTER COLUMN status DROP NOT NULL;
+    `);
+  }
+};
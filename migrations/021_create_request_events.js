@@ -0,0 +1,67 @@
+// Append-only log of what happened on each request: offers, acceptances,
+// waitlisting, cancellations, completions and status changes, with who did
+// it. actor_id is null for moves the server makes itself (actor_role
+// 'system'); helper_id is the helper an event is about. Earlier history is
+// backfilled from help_requests and help_offers where it can be recovered.
+// Rows can't be changed or deleted, and a request with history can't be
+// deleted either (no cascade), so the trail outlives whatever it records.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS request_events (
+        id SERIAL PRIMARY KEY,
+        request_id INTEGER NOT NULL REFERENCES help_requests(id) ON DELETE RESTRICT,
+        event_type VARCHAR(40) NOT NULL,
+        actor_id VARCHAR(255) REFERENCES users(id),
+        actor_role VARCHAR(20) NOT NULL CHECK (actor_role IN ('author', 'helper', 'system')),
+        helper_id VARCHAR(255) REFERENCES users(id),
+        from_status VARCHAR(20),
+        to_status VARCHAR(20),
+        data JSONB,
+        created_at TIMESTAMP DEFAULT NOW()
+      );
+
+      CREATE INDEX IF NOT EXISTS idx_request_events_request ON request_events(request_id, created_at, id);
+      CREATE INDEX IF NOT EXISTS idx_request_events_actor ON request_events(actor_id, created_at);
+      CREATE INDEX IF NOT EXISTS idx_request_events_helper ON request_events(helper_id, created_at);
+
+      -- Rows can be added, never changed or removed
+      CREATE OR REPLACE FUNCTION request_events_append_only() RETURNS trigger AS $$
+      BEGIN
+        RAISE EXCEPTION 'request_events is append-only';
+      END;
+      $$ LANGUAGE plpgsql;
+
+      DROP TRIGGER IF EXISTS request_events_append_only ON request_events;
+      CREATE TRIGGER request_events_append_only
+        BEFORE UPDATE OR DELETE ON request_events
+        FOR EACH ROW EXECUTE FUNCTION request_events_append_only();
+
+      -- TRUNCATE skips row triggers
+      DROP TRIGGER IF EXISTS request_events_no_truncate ON request_events;
+      CREATE TRIGGER request_events_no_truncate
+        BEFORE TRUNCATE ON request_events
+        FOR EACH STATEMENT EXECUTE FUNCTION request_events_append_only();
+
+      INSERT INTO request_events (request_id, event_type, actor_id, actor_role, to_status, created_at)
+      SELECT id, 'request_created', author_id, 'author', 'Open', created_at
+      FROM help_requests;
+
+      INSERT INTO request_events (request_id, event_type, actor_id, actor_role, helper_id, created_at)
+      SELECT request_id, 'help_offered', helper_id, 'helper', helper_id, created_at
+      FROM help_offers;
+
+      INSERT INTO request_events (request_id, event_type, actor_id, actor_role, helper_id, created_at)
+      SELECT request_id, 'help_completed', helper_id, 'helper', helper_id, completed_at
+      FROM help_offers
+      WHERE completed_at IS NOT NULL;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`
+      DROP TABLE IF EXISTS request_events;
+      DROP FUNCTION IF EXISTS request_events_append_only();
+    `);
+  }
+};
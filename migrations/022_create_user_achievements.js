@@ -0,0 +1,101 @@
+// Badges a user has unlocked, one row per badge, dated when first earned.
+// The definitions live in achievement-service.js; achievement_id refers to
+// them. Badges earned before this table existed are backfilled with the
+// moment each one's metric first reached its target, so they aren't
+// announced as new. The targets below mirror ACHIEVEMENTS as they stood
+// when this migration was written.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS user_achievements (
+        user_id VARCHAR(255) NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+        achievement_id VARCHAR(50) NOT NULL,
+        earned_at TIMESTAMP NOT NULL DEFAULT NOW(),
+        PRIMARY KEY (user_id, achievement_id)
+      );
+
+      -- peopleHelped: the Nth distinct request a user offered on
+      WITH helped AS (
+        SELECT helper_id AS user_id, MIN(created_at) AS at
+        FROM help_offers
+        WHERE created_at IS NOT NULL
+        GROUP BY helper_id, request_id
+      ),
+      ranked AS (
+        SELECT user_id, at, ROW_NUMBER() OVER (PARTITION BY user_id ORDER BY at) AS n
+        FROM helped
+      )
+      INSERT INTO user_achievements (user_id, achievement_id, earned_at)
+      SELECT ranked.user_id, badge.id, ranked.at
+      FROM ranked
+      JOIN (VALUES ('first_help', 1), ('helper_5', 5), ('helper_25', 25)) AS badge(id, target)
+        ON ranked.n = badge.target
+      ON CONFLICT DO NOTHING;
+
+      -- requestsMade: first request
+      INSERT INTO user_achievements (user_id, achievement_id, earned_at)
+      SELECT author_id, 'requester', MIN(created_at)
+      FROM help_requests
+      WHERE created_at IS NOT NULL
+      GROUP BY author_id
+      ON CONFLICT DO NOTHING;
+
+      -- helpsCompleted: first finished offer
+      INSERT INTO user_achievements (user_id, achievement_id, earned_at)
+      SELECT helper_id, 'finisher', MIN(COALESCE(completed_at, created_at))
+      FROM help_offers
+      WHERE (status = 'completed' OR completed_at IS NOT NULL)
+        AND COALESCE(completed_at, created_at) IS NOT NULL
+      GROUP BY helper_id
+      ON CONFLICT DO NOTHING;
+
+      -- currentStreak (distinct weeks with an offer in the 4 weeks to date):
+      -- 1 at the first offer, 4 at the first offer completing such a window
+      INSERT INTO user_achievements (user_id, achievement_id, earned_at)
+      SELECT helper_id, 'streak_1', MIN(created_at)
+      FROM help_offers
+      WHERE created_at IS NOT NULL
+      GROUP BY helper_id
+      ON CONFLICT DO NOTHING;
+
+      INSERT INTO user_achievements (user_id, achievement_id, earned_at)
+      SELECT o.helper_id, 'streak_4', MIN(o.created_at)
+      FROM help_offers o
+      WHERE (
+        SELECT COUNT(DISTINCT DATE_TRUNC('week', p.created_at))
+        FROM help_offers p
+        WHERE p.helper_id = o.helper_id
+          AND p.created_at BETWEEN o.created_at - INTERVAL '4 weeks' AND o.created_at
+      ) >= 4
+      GROUP BY o.helper_id
+      ON CONFLICT DO NOTHING;
+
+      -- communityPoints: 10 per distinct request helped, 2 per request made
+      WITH points AS (
+        SELECT helper_id AS user_id, MIN(created_at) AS at, 10 AS points
+        FROM help_offers
+        WHERE created_at IS NOT NULL
+        GROUP BY helper_id, request_id
+        UNION ALL
+        SELECT author_id, created_at, 2
+        FROM help_requests
+        WHERE created_at IS NOT NULL
+      ),
+      running AS (
+        SELECT user_id, at,
+               SUM(points) OVER (PARTITION BY user_id ORDER BY at ROWS UNBOUNDED PRECEDING) AS total
+        FROM points
+      )
+      INSERT INTO user_achievements (user_id, achievement_id, earned_at)
+      SELECT user_id, 'points_100', MIN(at)
+      FROM running
+      WHERE total >= 100
+      GROUP BY user_id
+      ON CONFLICT DO NOTHING;
+    `);
+  },
+
+  async down(client) {
+    await client.query(`DROP TABLE IF EXISTS user_achievements`);
+  }
+};
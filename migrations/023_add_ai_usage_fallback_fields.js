@@ -0,0 +1,15 @@
+// Which fields of a structured AI reply fell back to defaults, per call, so
+// bad output can be audited later. NULL when the reply wasn't used as
+// structured output (plain calls, replies that were retried); ['reply'] when
+// the whole reply was unusable and the caller fell back entirely.
+module.exports = {
+  async up(client) {
+    await client.query(`
+      ALTER TABLE ai_usage ADD COLUMN IF NOT EXISTS fallback_fields TEXT[];
+    `);
+  },
+
+  async down(client) {
+    await client.query(`ALTER TABLE ai_usage DROP COLUMN IF EXISTS fallback_fields`);
+  }
+};
@@ -0,0 +1,222 @@
+const { db } = require('./database');
+const aiService = require('./ai-service');
+const pushService = require('./push-service');
+
+const NOTIFICATION_TYPES = {
+  NEARBY_REQUEST: 'nearby_request',
+  REQUEST_UPDATED: 'request_updated',
+  REQUEST_EXPIRED: 'request_expired',
+  SERIES_OCCURRENCE: 'series_occurrence',
+  OCCURRENCE_CANCELLED: 'occurrence_cancelled',
+  HELPER_PROMOTED: 'helper_promoted',
+  ACHIEVEMENT_EARNED: 'achievement_earned'
+};
+
+// How changed fields are named in "request updated" messages
+const FIELD_LABELS = {
+  title: 'title',
+  description: 'details',
+  latitude: 'location',
+  longitude: 'location',
+  contact: 'contact info',
+  urgencyLevel: 'urgency'
+};
+
+class NotificationService {
+  constructor() {
+    // Cap recipients per request; each smart notification is one AI call
+    this.maxRecipients = parseInt(process.env.NOTIFICATION_MAX_RECIPIENTS) || 25;
+    this.types = NOTIFICATION_TYPES;
+  }
+
+  /**
+   * Store a notification in a user's inbox and push it to their devices
+   * @param {string} userId - Recipient
+   * @param {Object} notification - { requestId, type, body, data }
+   * @returns {Promise<Object>} Stored notification row
+   */
+  async deliver(userId, notification) {
+    const stored = await db.createNotification(userId, notification);
+
+    // The inbox is the source of truth; a failed push is logged, not fatal
+    try {
+      const badge = await db.getUnreadNotificationCount(userId);
+      await pushService.sendToUser(userId, {
+        body: notification.body,
+        badge,
+        data: {
+          notificationId: stored.id.toString(),
+          type: notification.type,
+          ...(notification.data || {})
+        }
+      });
+    } catch (error) {
+      console.error('Push delivery error for user ' + userId + ':', error.message);
+    }
+
+    return stored;
+  }
+
+  // Plain message for users who switched smart notifications off
+  templateMessage(request, distance) {
+    return `${request.ai_category_icon || '📌'} ${request.title} - ${distance}`;
+  }
+
+  /**
+   * Notify nearby users whose radius and preferred categories match a new request
+   * @param {Object} request - help_requests row from db.createRequest
+   * @returns {Promise<number>} Number of notifications sent
+   */
+  async notifyNearbyHelpers(request) {
+    const candidates = await db.findNotificationCandidates(request, this.maxRecipients);
+    let sent = 0;
+
+    for (const candidate of candidates) {
+      const distance = parseFloat(candidate.distance_miles).toFixed(1) + 'mi';
+
+      let body;
+      if (candidate.enable_smart_notifications === false) {
+        body = this.templateMessage(request, distance);
+      } else {
+        body = await aiService.generateNotification({
+          title: request.title,
+          category: request.ai_category_name || request.ai_category,
+          distance
+        }, {
+          name: candidate.name,
+          helpCount: parseInt(candidate.help_count) || 0,
+          categories: candidate.preferred_categories || []
+        }, { userId: request.author_id });
+      }
+
+      try {
+        await this.deliver(candidate.id, {
+          requestId: request.id,
+          type: NOTIFICATION_TYPES.NEARBY_REQUEST,
+          body,
+          data: { requestId: request.id.toString(), distance, category: request.ai_category }
+        });
+        sent++;
+      } catch (error) {
+        console.error('Failed to deliver notification to ' + candidate.id + ':', error.message);
+      }
+    }
+
+    console.log(`Sent ${sent} nearby notification(s) for request ${request.id}`);
+    return sent;
+  }
+
+  /**
+   * Tell helpers with a live offer that a request they're helping with changed
+   * @param {Object} request - Updated help_requests row
+   * @param {Array} changedFields - Fields from db.updateRequest
+   * @returns {Promise<number>} Number of notifications sent
+   */
+  async notifyRequestUpdated(request, changedFields) {
+    const helperIds = await db.getActiveHelperIds(request.id);
+    const changes = [...new Set(changedFields.map(field => FIELD_LABELS[field] || field))];
+    const body = `"${request.title}" was updated: ${changes.join(', ')} changed`;
+    let sent = 0;
+
+    for (const helperId of helperIds) {
+      try {
+        await this.deliver(helperId, {
+          requestId: request.id,
+          type: NOTIFICATION_TYPES.REQUEST_UPDATED,
+          body,
+          data: { requestId: request.id.toString(), changedFields: changedFields.join(',') }
+        });
+        sent++;
+      } catch (error) {
+        console.error('Failed to deliver update notification to ' + helperId + ':', error.message);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Tell an author their request expired and can be renewed
+   * @param {Object} request - help_requests row just moved to Expired
+   * @returns {Promise<Object>} Stored notification row
+   */
+  async notifyRequestExpired(request) {
+    return this.deliver(request.author_id, {
+      requestId: request.id,
+      type: NOTIFICATION_TYPES.REQUEST_EXPIRED,
+      body: `"${request.title}" expired. Renew it if you still need help.`,
+      data: { requestId: request.id.toString() }
+    });
+  }
+
+  /**
+   * Tell a waitlisted helper they moved up into an accepted spot
+   * @param {Object} request - help_requests row after db.cancelHelpOffer
+   * @param {string} helperId - Helper promoted off the waitlist
+   * @returns {Promise<Object>} Stored notification row
+   */
+  async notifyHelperPromoted(request, helperId) {
+    return this.deliver(helperId, {
+      requestId: request.id,
+      type: NOTIFICATION_TYPES.HELPER_PROMOTED,
+      body: `A spot opened up on "${request.title}". You're now one of its helpers.`,
+      data: { requestId: request.id.toString() }
+    });
+  }
+
+  /**
+   * Tell a series' standing helper they're down for a newly posted occurrence
+   * @param {Object} request - Occurrence from db.postDueOccurrences
+   * @returns {Promise<Object>} Stored notification row
+   */
+  async notifySeriesOccurrence(request) {
+    return this.deliver(request.accepted_helper_id, {
+      requestId: request.id,
+      type: NOTIFICATION_TYPES.SERIES_OCCURRENCE,
+      body: `You're helping with "${request.title}" again. Check the request for this time's details.`,
+      data: { requestId: request.id.toString(), seriesId: request.series_id.toString() }
+    });
+  }
+
+  /**
+   * Tell helpers with a live offer that a series occurrence was called off
+   * @param {Object} request - Occurrence just cancelled by skip or series cancel
+   * @returns {Promise<number>} Number of notifications sent
+   */
+  async notifyOccurrenceCancelled(request) {
+    const helperIds = await db.getActiveHelperIds(request.id);
+    let sent = 0;
+
+    for (const helperId of helperIds) {
+      try {
+        await this.deliver(helperId, {
+          requestId: request.id,
+          type: NOTIFICATION_TYPES.OCCURRENCE_CANCELLED,
+          body: `"${request.title}" is off this time; no help needed.`,
+          data: { requestId: request.id.toString(), seriesId: request.series_id.toString() }
+        });
+        sent++;
+      } catch (error) {
+        console.error('Failed to deliver cancellation notification to ' + helperId + ':', error.message);
+      }
+    }
+
+    return sent;
+  }
+
+  /**
+   * Tell a user they unlocked a badge
+   * @param {string} userId - Who earned it
+   * @param {Object} achievement - Definition from achievement-service
+   * @returns {Promise<Object>} Stored notification row
+   */
+  async notifyAchievementEarned(userId, achievement) {
+    return this.deliver(userId, {
+      type: NOTIFICATION_TYPES.ACHIEVEMENT_EARNED,
+      body: `${achievement.icon} New badge: ${achievement.name}. ${achievement.description}.`,
+      data: { achievementId: achievement.id }
+    });
+  }
+}
+
+module.exports = new NotificationService();
@@ -0,0 +1,78 @@
+// Shared cursor pagination for list endpoints.
+// Lists are ordered newest-first by (created_at, id). The cursor is an opaque
+// token holding the last row's key; the next page starts strictly after it.
+// Queries select `created_at::text AS cursor_created_at` so the key keeps
+// Postgres' microsecond precision (JS Dates round to milliseconds).
+
+const DEFAULT_PAGE_SIZE = 50;
+const MAX_PAGE_SIZE = 100;
+
+function encodeCursor(createdAt, id) {
+  return Buffer.from(JSON.stringify({ createdAt, id: String(id) })).toString('base64url');
+}
+
+function decodeCursor(token) {
+  try {
+    const { createdAt, id } = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (typeof createdAt !== 'string' || isNaN(Date.parse(createdAt)) || typeof id !== 'string' || !id) {
+      return null;
+    }
+    return { createdAt, id };
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Parse page params from a query string
+ * @param {Object} query - req.query
+ * @param {Object} options - { cursorParam, defaultLimit }
+ * @returns {Object} { limit, cursor } or { error }
+ */
+function parsePageParams(query, { cursorParam = 'cursor', defaultLimit = DEFAULT_PAGE_SIZE } = {}) {
+  let limit = defaultLimit;
+
+  if (query.limit !== undefined) {
+    limit = parseInt(query.limit);
+    if (isNaN(limit) || limit < 1 || limit > MAX_PAGE_SIZE) {
+      return { error: `limit must be between 1 and ${MAX_PAGE_SIZE}` };
+    }
+  }
+
+  let cursor = null;
+  if (query[cursorParam]) {
+    cursor = decodeCursor(String(query[cursorParam]));
+    if (!cursor) {
+      return { error: 'Invalid ' + cursorParam };
+    }
+  }
+
+  return { limit, cursor };
+}
+
+/**
+ * Turn rows fetched with LIMIT (limit + 1) into a page
+ * @param {Array} rows - Rows including cursor_created_at, ordered by (created_at, id) DESC
+ * @param {number} limit - Page size
+ * @param {string} idKey - Column holding the row's tiebreaker id
+ * @returns {Object} { items, nextCursor } - nextCursor is null on the last page
+ */
+function buildPage(rows, limit, idKey = 'id') {
+  const hasMore = rows.length > limit;
+  const pageRows = hasMore ? rows.slice(0, limit) : rows;
+
+  const last = pageRows[pageRows.length - 1];
+  const nextCursor = hasMore ? encodeCursor(last.cursor_created_at, last[idKey]) : null;
+
+  const items = pageRows.map(({ cursor_created_at, ...row }) => row);
+  return { items, nextCursor };
+}
+
+module.exports = {
+  DEFAULT_PAGE_SIZE,
+  MAX_PAGE_SIZE,
+  encodeCursor,
+  decodeCursor,
+  parsePageParams,
+  buildPage
+};
@@ -0,0 +1,284 @@
+const fs = require('fs');
+const path = require('path');
+const http2 = require('http2');
+const jwt = require('jsonwebtoken');
+const { db } = require('./database');
+
+// Push transports share one interface:
+//   async send(device, payload) -> { success, status, reason, invalidToken }
+// where device is a device_tokens row ({ token, environment }).
+// invalidToken tells PushService to prune the token.
+
+const APNS_HOSTS = {
+  production: 'https://api.push.apple.com',
+  sandbox: 'https://api.sandbox.push.apple.com'
+};
+
+// APNs reasons meaning the token will never work again
+const INVALID_TOKEN_REASONS = ['BadDeviceToken', 'DeviceTokenNotForTopic', 'Unregistered'];
+
+// Apple rejects provider tokens older than an hour and throttles
+// refreshing more often than every 20 minutes
+const APNS_TOKEN_TTL_MS = 50 * 60 * 1000;
+const APNS_REQUEST_TIMEOUT_MS = 10000;
+
+// APNs over HTTP/2 with token-based (.p8 key) auth
+class ApnsTransport {
+  constructor({ keyId, teamId, privateKey, bundleId }) {
+    this.keyId = keyId;
+    this.teamId = teamId;
+    this.privateKey = privateKey;
+    this.bundleId = bundleId;
+    this.sessions = {};
+    this.providerToken = null;
+    this.providerTokenIssuedAt = 0;
+  }
+
+  getProviderToken() {
+    if (!this.providerToken || Date.now() - this.providerTokenIssuedAt > APNS_TOKEN_TTL_MS) {
+      this.providerToken = jwt.sign({ iss: this.teamId }, this.privateKey, {
+        algorithm: 'ES256',
+        keyid: this.keyId
+      });
+      this.providerTokenIssuedAt = Date.now();
+    }
+    return this.providerToken;
+  }
+
+  // One long-lived HTTP/2 connection per APNs host, reopened if it drops
+  getSession(host) {
+    const existing = this.sessions[host];
+    if (existing && !existing.closed && !existing.destroyed) {
+      return existing;
+    }
+
+    const session = http2.connect(host);
+    session.on('error', (error) => {
+      console.error('APNs connection error:', error.message);
+    });
+    session.on('close', () => {
+      if (this.sessions[host] === session) delete this.sessions[host];
+    });
+    session.on('goaway', () => session.close());
+    // Don't keep the process alive just for an idle push connection
+    session.unref();
+
+    this.sessions[host] = session;
+    return session;
+  }
+
+  send(device, payload) {
+    const host = APNS_HOSTS[device.environment] || APNS_HOSTS.production;
+
+    return new Promise((promiseResolve) => {
+      // A cancelled stream only emits 'close', so every path settles through here once
+      let settled = false;
+      const resolve = (result) => {
+        if (!settled) {
+          settled = true;
+          promiseResolve(result);
+        }
+      };
+
+      let request;
+      try {
+        request = this.getSession(host).request({
+          ':method': 'POST',
+          ':path': `/3/device/${device.token}`,
+          'authorization': `bearer ${this.getProviderToken()}`,
+          'apns-topic': this.bundleId,
+          'apns-push-type': 'alert',
+          'apns-priority': '10',
+          'content-type': 'application/json'
+        });
+      } catch (error) {
+        return resolve({ success: false, status: null, reason: error.message, invalidToken: false });
+      }
+
+      let status = null;
+      let body = '';
+
+      request.setEncoding('utf8');
+      request.on('response', (headers) => {
+        status = headers[':status'];
+      });
+      request.on('data', (chunk) => {
+        body += chunk;
+      });
+      request.on('end', () => {
+        if (status === 200) {
+          return resolve({ success: true, status, reason: null, invalidToken: false });
+        }
+
+        let reason = null;
+        try {
+          reason = JSON.parse(body).reason;
+        } catch (error) {
+          reason = body || null;
+        }
+
+        resolve({
+          success: false,
+          status,
+          reason,
+          invalidToken: status === 410 || INVALID_TOKEN_REASONS.includes(reason)
+        });
+      });
+      request.on('error', (error) => {
+        resolve({ success: false, status, reason: error.message, invalidToken: false });
+      });
+      request.on('close', () => {
+        resolve({ success: false, status, reason: 'Stream closed before a response', invalidToken: false });
+      });
+      request.setTimeout(APNS_REQUEST_TIMEOUT_MS, () => {
+        resolve({ success: false, status, reason: 'Timed out', invalidToken: false });
+        request.close(http2.constants.NGHTTP2_CANCEL);
+      });
+
+      request.end(JSON.stringify(payload));
+    });
+  }
+}
+
+// Logs each push instead of sending it; the default without APNs credentials
+class LogTransport {
+  async send(device, payload) {
+    console.log('Push (not sent, no APNs configured) to ' + device.environment + ' device:',
+      payload.aps.alert.body);
+    return { success: true, status: 200, reason: null, invalidToken: false };
+  }
+}
+
+// Keeps sent pushes in memory; for tests only (PUSH_TRANSPORT=memory or
+// setTransport), since the list is never trimmed
+class MemoryTransport {
+  constructor() {
+    this.sent = [];
+    // Tokens to report as invalid, to exercise pruning
+    this.invalidTokens = new Set();
+  }
+
+  async send(device, payload) {
+    if (this.invalidTokens.has(device.token)) {
+      return { success: false, status: 410, reason: 'Unregistered', invalidToken: true };
+    }
+
+    this.sent.push({ token: device.token, environment: device.environment, payload, sentAt: new Date() });
+    return { success: true, status: 200, reason: null, invalidToken: false };
+  }
+}
+
+// Appends each push as a JSON line; for local development
+class FileTransport {
+  constructor(filePath) {
+    this.filePath = filePath;
+  }
+
+  async send(device, payload) {
+    fs.mkdirSync(path.dirname(this.filePath), { recursive: true });
+    fs.appendFileSync(this.filePath, JSON.stringify({
+      token: device.token,
+      environment: device.environment,
+      payload,
+      sentAt: new Date().toISOString()
+    }) + '\n');
+    return { success: true, status: 200, reason: null, invalidToken: false };
+  }
+}
+
+// PUSH_TRANSPORT picks the transport: apns, file, log or memory.
+// Defaults to apns when APNs credentials are configured, otherwise log.
+function createTransport() {
+  const apnsConfigured = !!(process.env.APNS_KEY_ID && process.env.APNS_TEAM_ID &&
+    (process.env.APNS_PRIVATE_KEY || process.env.APNS_PRIVATE_KEY_PATH) && process.env.APNS_BUNDLE_ID);
+  const transport = process.env.PUSH_TRANSPORT || (apnsConfigured ? 'apns' : 'log');
+
+  if (transport === 'apns') {
+    if (!apnsConfigured) {
+      throw new Error('PUSH_TRANSPORT=apns requires APNS_KEY_ID, APNS_TEAM_ID, APNS_PRIVATE_KEY(_PATH) and APNS_BUNDLE_ID');
+    }
+
+    // Keys pasted into env vars usually have literal \n instead of newlines
+    const privateKey = process.env.APNS_PRIVATE_KEY ?
+      process.env.APNS_PRIVATE_KEY.replace(/\\n/g, '\n') :
+      fs.readFileSync(process.env.APNS_PRIVATE_KEY_PATH, 'utf8');
+
+    return new ApnsTransport({
+      keyId: process.env.APNS_KEY_ID,
+      teamId: process.env.APNS_TEAM_ID,
+      privateKey,
+      bundleId: process.env.APNS_BUNDLE_ID
+    });
+  }
+
+  if (transport === 'file') {
+    return new FileTransport(process.env.PUSH_FILE_PATH || path.join(__dirname, 'logs', 'push.log'));
+  }
+
+  if (transport === 'log') {
+    return new LogTransport();
+  }
+
+  if (transport === 'memory') {
+    return new MemoryTransport();
+  }
+
+  throw new Error('Unknown PUSH_TRANSPORT: ' + transport);
+}
+
+class PushService {
+  constructor(transport) {
+    this.transport = transport;
+  }
+
+  // Swap the transport, e.g. a MemoryTransport in tests
+  setTransport(transport) {
+    this.transport = transport;
+  }
+
+  /**
+   * Push an alert to every device the user has registered
+   * @param {string} userId - Recipient
+   * @param {Object} message - { body, data, badge }
+   * @returns {Promise<Object>} { sent, failed, pruned }
+   */
+  async sendToUser(userId, { body, data = {}, badge }) {
+    const devices = await db.getDeviceTokens(userId);
+    const summary = { sent: 0, failed: 0, pruned: 0 };
+
+    const payload = {
+      aps: {
+        alert: { body },
+        sound: 'default',
+        ...(badge !== undefined ? { badge } : {})
+      },
+      ...data
+    };
+
+    for (const device of devices) {
+      const result = await this.transport.send(device, payload);
+
+      if (result.success) {
+        summary.sent++;
+        continue;
+      }
+
+      summary.failed++;
+      if (result.invalidToken) {
+        await db.deleteDeviceToken(device.token);
+        summary.pruned++;
+        console.log('Pruned invalid device token for user ' + userId + ': ' + result.reason);
+      } else {
+        console.error('Push failed for user ' + userId + ':', result.status, result.reason);
+      }
+    }
+
+    return summary;
+  }
+}
+
+module.exports = new PushService(createTransport());
+module.exports.ApnsTransport = ApnsTransport;
+module.exports.LogTransport = LogTransport;
+module.exports.MemoryTransport = MemoryTransport;
+module.exports.FileTransport = FileTransport;
@@ -0,0 +1,138 @@
+const { pool } = require('./database');
+
+// Per-route budgets: max requests per window, per user (or per IP before
+// sign-in). Override any of them with RATE_LIMIT_<NAME>=max/windowSeconds,
+// e.g. RATE_LIMIT_CREATE=20/3600 or RATE_LIMIT_DETECT_DUPLICATES=2/3600.
+const DEFAULT_BUDGETS = {
+  // Every /api call (applied in authenticateToken); calls without a valid
+  // token are keyed on IP
+  api: { max: 600, windowMs: 15 * 60 * 1000 },
+  // Routes that make paid Anthropic calls
+  create: { max: 15, windowMs: 60 * 60 * 1000 },
+  rephrase: { max: 30, windowMs: 60 * 60 * 1000 },
+  detectDuplicates: { max: 5, windowMs: 60 * 60 * 1000 },
+  chat: { max: 60, windowMs: 60 * 60 * 1000 }
+};
+
+function envNameFor(name) {
+  return 'RATE_LIMIT_' + name.replace(/([a-z])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+function loadBudget(name) {
+  const defaults = DEFAULT_BUDGETS[name];
+  const override = process.env[envNameFor(name)];
+
+  if (override) {
+    const [max, windowSeconds] = override.split('/').map(n => parseInt(n));
+    if (max > 0 && windowSeconds > 0) {
+      return { max, windowMs: windowSeconds * 1000 };
+    }
+    console.warn(`Ignoring invalid ${envNameFor(name)}=${override} (expected max/windowSeconds)`);
+  }
+
+  if (!defaults) {
+    throw new Error('No rate limit budget named ' + name);
+  }
+  return defaults;
+}
+
+// Counters in process memory; fine for a single instance
+class MemoryStore {
+  constructor() {
+    this.counters = new Map();
+  }
+
+  async increment(key, windowStart, windowMs) {
+    const bucketKey = `${key}:${windowStart}`;
+    const counter = this.counters.get(bucketKey) || { count: 0, expiresAt: windowStart + windowMs };
+    counter.count++;
+    this.counters.set(bucketKey, counter);
+
+    // Sweep expired windows now and then so the map stays small
+    if (Math.random() < 0.01) {
+      const now = Date.now();
+      for (const [existingKey, existing] of this.counters) {
+        if (existing.expiresAt < now) this.counters.delete(existingKey);
+      }
+    }
+
+    return counter.count;
+  }
+}
+
+// Counters in rate_limit_counters, shared across instances
+class PostgresStore {
+  async increment(key, windowStart) {
+    const result = await pool.query(
+      `INSERT INTO rate_limit_counters (bucket_key, window_start, count)
+       VALUES ($1, to_timestamp($2 / 1000.0), 1)
+       ON CONFLICT (bucket_key, window_start) DO UPDATE SET
+       count = rate_limit_counters.count + 1
+       RETURNING count`,
+      [key, windowStart]
+    );
+
+    // Budgets are at most a day long, so older windows can go
+    if (Math.random() < 0.01) {
+      pool.query(`DELETE FROM rate_limit_counters WHERE window_start < NOW() - INTERVAL '1 day'`)
+        .catch(error => console.error('Rate limit cleanup error:', error.message));
+    }
+
+    return result.rows[0].count;
+  }
+}
+
+function createStore() {
+  const store = process.env.RATE_LIMIT_STORE || 'memory';
+  if (store === 'postgres') return new PostgresStore();
+  if (store === 'memory') return new MemoryStore();
+  throw new Error('Unknown RATE_LIMIT_STORE: ' + store);
+}
+
+const store = createStore();
+
+/**
+ * Rate limiting middleware for a named budget. Keys on req.user.id when the
+ * route is authenticated (put it after authenticateToken), else on req.ip.
+ * Over-budget calls get 429 with Retry-After. If the store fails, the
+ * request is let through rather than taking the route down.
+ * @param {string} name - Budget name from DEFAULT_BUDGETS
+ * @returns {Function} Express middleware
+ */
+function rateLimit(name) {
+  const { max, windowMs } = loadBudget(name);
+
+  return async (req, res, next) => {
+    const identity = req.user ? 'user:' + req.user.id : 'ip:' + req.ip;
+    const now = Date.now();
+    const windowStart = Math.floor(now / windowMs) * windowMs;
+
+    let count;
+    try {
+      count = await store.increment(`${name}:${identity}`, windowStart, windowMs);
+    } catch (error) {
+      console.error('Rate limit store error:', error.message);
+      return next();
+    }
+
+    const retryAfter = Math.ceil((windowStart + windowMs - now) / 1000);
+    res.set({
+      'X-RateLimit-Limit': String(max),
+      'X-RateLimit-Remaining': String(Math.max(0, max - count)),
+      'X-RateLimit-Reset': String(Math.ceil((windowStart + windowMs) / 1000))
+    });
+
+    if (count > max) {
+      res.set('Retry-After', String(retryAfter));
+      return res.status(429).json({
+        error: 'Too many requests',
+        message: `Rate limit exceeded. Try again in ${retryAfter} seconds.`,
+        retryAfter
+      });
+    }
+
+    next();
+  };
+}
+
+module.exports = { rateLimit, MemoryStore, PostgresStore };
@@ -0,0 +1,167 @@
+const EventEmitter = require('events');
+
+// Event types pushed to clients over /api/stream
+const EVENT_TYPES = {
+  REQUEST_CREATED: 'request.created',
+  HELPER_OFFERED: 'helper.offered',
+  HELPER_ACCEPTED: 'helper.accepted',
+  HELPER_CANCELLED: 'helper.cancelled',
+  REQUEST_UPDATED: 'request.updated',
+  STATUS_CHANGED: 'request.status_changed',
+  REQUEST_EXPIRED: 'request.expired',
+  REQUEST_RENEWED: 'request.renewed'
+};
+
+// Columns of a help_requests row that subscribers see, as on the map. The
+// author's id and contact details and moderation results stay server-side.
+const PUBLIC_FIELDS = [
+  'id', 'title', 'description', 'latitude', 'longitude', 'urgency_level',
+  'status', 'author_name', 'helpers_count', 'helpers_needed', 'series_id',
+  'created_at', 'updated_at', 'expires_at', 'needed_from', 'needed_until',
+  'ai_category', 'ai_category_icon', 'ai_category_name', 'ai_detected_urgency',
+  'ai_estimated_time', 'ai_tags'
+];
+
+function publicView(request) {
+  const view = {};
+  for (const field of PUBLIC_FIELDS) {
+    if (request[field] !== undefined) view[field] = request[field];
+  }
+  return view;
+}
+
+class RealtimeFeed {
+  constructor() {
+    this.emitter = new EventEmitter();
+    // One listener per open stream, so don't warn past the default of 10
+    this.emitter.setMaxListeners(0);
+
+    // Keep idle connections alive through proxies (Render/Railway close at ~60s)
+    this.heartbeatMs = 25000;
+    this.eventTypes = EVENT_TYPES;
+  }
+
+  /**
+   * Publish a change to every subscriber whose filter matches. Only the
+   * row's public fields go out, and nothing at all for a request held or
+   * rejected by moderation.
+   * @param {string} type - One of EVENT_TYPES
+   * @param {Object} request - help_requests row the event is about
+   * @param {Object} extra - Additional event fields (helperId, status, ...)
+   */
+  publish(type, request, extra = {}) {
+    if (!request) return;
+    if (request.ai_safety_check && request.ai_safety_check !== 'safe') return;
+
+    const event = {
+      type,
+      requestId: request.id.toString(),
+      latitude: parseFloat(request.latitude),
+      longitude: parseFloat(request.longitude),
+      ...extra,
+      request: publicView(request),
+      timestamp: new Date().toISOString()
+    };
+
+    this.emitter.emit('event', event);
+  }
+
+  /**
+   * Parse a subscription filter from query params
+   * Viewport: minLat, maxLat, minLon, maxLon. Requests: requestIds=1,2,3
+   * @param {Object} query - req.query
+   * @returns {Object} Filter, or { error } if the params are malformed
+   */
+  parseFilter(query = {}) {
+    const filter = { viewport: null, requestIds: null };
+
+    const bounds = ['minLat', 'maxLat', 'minLon', 'maxLon'];
+    const provided = bounds.filter(key => query[key] !== undefined);
+
+    if (provided.length > 0) {
+      if (provided.length !== bounds.length) {
+        return { error: 'Viewport requires minLat, maxLat, minLon and maxLon' };
+      }
+
+      const viewport = {};
+      for (const key of bounds) {
+        viewport[key] = parseFloat(query[key]);
+        if (isNaN(viewport[key])) {
+          return { error: 'Invalid viewport coordinate: ' + key };
+        }
+      }
+
+      if (viewport.minLat > viewport.maxLat || viewport.minLon > viewport.maxLon) {
+        return { error: 'Viewport minimums must not exceed maximums' };
+      }
+
+      filter.viewport = viewport;
+    }
+
+    if (query.requestIds) {
+      const ids = String(query.requestIds)
+        .split(',')
+        .map(s => s.trim())
+        .filter(Boolean);
+
+      if (ids.length === 0 || ids.some(id => !/^\d+$/.test(id))) {
+        return { error: 'requestIds must be a comma-separated list of request IDs' };
+      }
+
+      filter.requestIds = new Set(ids);
+    }
+
+    return filter;
+  }
+
+  // An event matches if it falls inside the viewport OR is for a watched request.
+  // A subscription with neither filter receives everything.
+  matches(filter, event) {
+    if (!filter.viewport && !filter.requestIds) return true;
+
+    if (filter.requestIds && filter.requestIds.has(event.requestId)) {
+      return true;
+    }
+
+    if (filter.viewport) {
+      const { minLat, maxLat, minLon, maxLon } = filter.viewport;
+      const inViewport = (lat, lon) => lat >= minLat && lat <= maxLat && lon >= minLon && lon <= maxLon;
+      // A moved request matters to viewers of both its old and new spot
+      return inViewport(event.latitude, event.longitude) ||
+        (event.previousLatitude !== undefined && inViewport(event.previousLatitude, event.previousLongitude));
+    }
+
+    return false;
+  }
+
+  /**
+   * Attach an SSE response to the feed
+   * @param {Object} res - Express response with SSE headers already sent
+   * @param {Object} filter - Result of parseFilter
+   * @returns {Function} Unsubscribe function, call when the client disconnects
+   */
+  subscribe(res, filter) {
+    const listener = (event) => {
+      if (!this.matches(filter, event)) return;
+      res.write(`event: ${event.type}\n`);
+      res.write(`data: ${JSON.stringify(event)}\n\n`);
+    };
+
+    const heartbeat = setInterval(() => {
+      res.write(': ping\n\n');
+    }, this.heartbeatMs);
+
+    this.emitter.on('event', listener);
+
+    return () => {
+      clearInterval(heartbeat);
+      this.emitter.removeListener('event', listener);
+    };
+  }
+
+  subscriberCount() {
+    return this.emitter.listenerCount('event');
+  }
+}
+
+module.exports = new RealtimeFeed();
@@ -0,0 +1,211 @@
+// Recurrence rules for request series ("Tuesdays and Thursdays at 6pm, 10
+// times"). Occurrences keep their wall-clock time in the series' time zone,
+// so a weekly 6pm tutoring slot stays at 6pm across daylight-saving changes.
+
+const FREQUENCIES = ['daily', 'weekly'];
+const MAX_OCCURRENCES = 100;
+// Furthest a series' last occurrence can be from startsAt (by until or
+// count), and how far ahead it can start
+const MAX_SERIES_DAYS = 180;
+const MAX_START_AHEAD_DAYS = 30;
+const DEFAULT_DURATION_HOURS = 2;
+const DEFAULT_TIME_ZONE = process.env.SERIES_TIME_ZONE || 'America/Los_Angeles';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function isValidTimeZone(timeZone) {
+  try {
+    new Intl.DateTimeFormat('en-US', { timeZone });
+    return true;
+  } catch (error) {
+    return false;
+  }
+}
+
+// Wall-clock date and time of an instant in a time zone
+function localParts(date, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', {
+    timeZone,
+    hourCycle: 'h23',
+    year: 'numeric',
+    month: 'numeric',
+    day: 'numeric',
+    hour: 'numeric',
+    minute: 'numeric'
+  }).formatToParts(date);
+  const get = type => parseInt(parts.find(part => part.type === type).value);
+  return { year: get('year'), month: get('month'), day: get('day'), hour: get('hour'), minute: get('minute') };
+}
+
+// Instant of a wall-clock date and time in a time zone
+function fromLocal({ year, month, day, hour, minute }, timeZone) {
+  const wallClock = Date.UTC(year, month - 1, day, hour, minute);
+  // Correct by the zone's offset; the second pass settles times next to a DST change
+  let instant = wallClock;
+  for (let i = 0; i < 2; i++) {
+    const local = localParts(new Date(instant), timeZone);
+    const offset = Date.UTC(local.year, local.month - 1, local.day, local.hour, local.minute) - instant;
+    instant = wallClock - offset;
+  }
+  return new Date(instant);
+}
+
+/**
+ * Every occurrence start of a rule, in order, honouring until and count
+ * @param {Object} rule - From parseRecurrence or ruleOf
+ * @returns {Generator<Date>}
+ */
+function* occurrences(rule) {
+  const first = localParts(rule.startsAt, rule.timeZone);
+  const lastDay = rule.until ?
+    Math.ceil((rule.until - rule.startsAt) / DAY_MS) + 1 :
+    MAX_OCCURRENCES * 7;
+  let emitted = 0;
+
+  // Walk calendar days in the zone from the first occurrence's date
+  for (let dayOffset = 0; dayOffset <= lastDay; dayOffset++) {
+    const date = new Date(Date.UTC(first.year, first.month - 1, first.day + dayOffset));
+    if (rule.frequency === 'weekly' && !rule.daysOfWeek.includes(date.getUTCDay())) continue;
+
+    const at = fromLocal({
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: first.hour,
+      minute: first.minute
+    }, rule.timeZone);
+
+    if (at < rule.startsAt) continue;
+    if (rule.until && at > rule.until) return;
+    if (rule.count && emitted >= rule.count) return;
+
+    emitted++;
+    yield at;
+  }
+}
+
+/**
+ * First occurrence starting after a moment
+ * @param {Object} rule - From parseRecurrence or ruleOf
+ * @param {Date} after - Exclusive lower bound
+ * @returns {Date|null} Null once the series has no occurrences left
+ */
+function nextOccurrence(rule, after) {
+  for (const at of occurrences(rule)) {
+    if (at > after) return at;
+  }
+  return null;
+}
+
+/**
+ * Validate a recurrence from a request body
+ * { frequency: 'daily'|'weekly', daysOfWeek: [0-6, Sunday = 0] (weekly only),
+ *   startsAt: first occurrence (ISO 8601), durationHours: each occurrence's
+ *   window (default 2), until (ISO 8601) or count, timeZone (IANA name) }
+ * @param {Object} recurrence - Raw recurrence
+ * @param {Date} now - Current time
+ * @returns {Object} { rule } or { error }
+ */
+function parseRecurrence(recurrence, now = new Date()) {
+  if (!recurrence || typeof recurrence !== 'object') {
+    return { error: 'recurrence is required' };
+  }
+
+  const { frequency, daysOfWeek, startsAt, durationHours, until, count, timeZone } = recurrence;
+
+  if (!FREQUENCIES.includes(frequency)) {
+    return { error: `recurrence.frequency must be one of ${FREQUENCIES.join(', ')}` };
+  }
+
+  let days = null;
+  if (frequency === 'weekly') {
+    if (!Array.isArray(daysOfWeek) || daysOfWeek.length === 0 ||
+        !daysOfWeek.every(day => Number.isInteger(day) && day >= 0 && day <= 6)) {
+      return { error: 'recurrence.daysOfWeek must list days 0-6 (Sunday = 0) for a weekly series' };
+    }
+    days = [...new Set(daysOfWeek)].sort((a, b) => a - b);
+  }
+
+  const zone = timeZone || DEFAULT_TIME_ZONE;
+  if (!isValidTimeZone(zone)) {
+    return { error: 'recurrence.timeZone must be an IANA time zone such as America/Los_Angeles' };
+  }
+
+  const start = new Date(startsAt);
+  if (!startsAt || isNaN(start)) {
+    return { error: 'recurrence.startsAt must be an ISO 8601 date' };
+  }
+  start.setUTCSeconds(0, 0);
+  if (start <= now) {
+    return { error: 'recurrence.startsAt must be in the future' };
+  }
+  if (start - now > MAX_START_AHEAD_DAYS * DAY_MS) {
+    return { error: `recurrence.startsAt can be at most ${MAX_START_AHEAD_DAYS} days ahead` };
+  }
+
+  let hours = DEFAULT_DURATION_HOURS;
+  if (durationHours !== undefined && durationHours !== null) {
+    hours = parseFloat(durationHours);
+    if (isNaN(hours) || hours < 1 || hours > 24) {
+      return { error: 'recurrence.durationHours must be between 1 and 24' };
+    }
+  }
+
+  if ((until === undefined || until === null) === (count === undefined || count === null)) {
+    return { error: 'recurrence needs exactly one of until or count' };
+  }
+
+  let untilDate = null;
+  if (until !== undefined && until !== null) {
+    untilDate = new Date(until);
+    if (isNaN(untilDate) || untilDate < start) {
+      return { error: 'recurrence.until must be a date after startsAt' };
+    }
+    if (untilDate - start > MAX_SERIES_DAYS * DAY_MS) {
+      return { error: `A series can run for at most ${MAX_SERIES_DAYS} days` };
+    }
+  }
+
+  if (count !== undefined && count !== null &&
+      (!Number.isInteger(count) || count < 1 || count > MAX_OCCURRENCES)) {
+    return { error: `recurrence.count must be between 1 and ${MAX_OCCURRENCES}` };
+  }
+
+  const rule = {
+    frequency,
+    daysOfWeek: days,
+    startsAt: start,
+    durationMinutes: Math.round(hours * 60),
+    until: untilDate,
+    count: count || null,
+    timeZone: zone
+  };
+
+  let last = null;
+  for (const at of occurrences(rule)) {
+    last = at;
+  }
+  if (!last) {
+    return { error: 'recurrence has no occurrences' };
+  }
+  if (last - start > MAX_SERIES_DAYS * DAY_MS) {
+    return { error: `A series can run for at most ${MAX_SERIES_DAYS} days` };
+  }
+
+  return { rule };
+}
+
+// Rule stored on a request_series row
+function ruleOf(series) {
+  return {
+    frequency: series.frequency,
+    daysOfWeek: series.days_of_week,
+    startsAt: new Date(series.starts_at),
+    durationMinutes: series.duration_minutes,
+    until: series.until_at ? new Date(series.until_at) : null,
+    count: series.max_occurrences,
+    timeZone: series.time_zone
+  };
+}
+
+module.exports = { parseRecurrence, nextOccurrence, occurrences, ruleOf };
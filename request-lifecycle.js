@@ -0,0 +1,134 @@
+// The request lifecycle: the statuses a help request can be in, the moves
+// between them, and who may make each move. Every status change goes
+// through here (assertTransition, or sourcesFor for bulk updates); help_offers statuses
+// are a separate, per-helper set and aren't covered.
+
+const STATUSES = {
+  OPEN: 'Open',
+  IN_PROGRESS: 'In Progress',
+  COMPLETED: 'Completed',
+  CANCELLED: 'Cancelled',
+  EXPIRED: 'Expired'
+};
+
+// Who triggers a move: the request's author, one of its accepted helpers
+// (only through db.completeHelp), or the server itself (expiry job, helpers
+// filling or leaving a request, waitlist, recurring series)
+const ACTORS = {
+  AUTHOR: 'author',
+  HELPER: 'helper',
+  SYSTEM: 'system'
+};
+
+// What request_events records; status_changed rows carry from/to statuses
+const EVENT_TYPES = {
+  REQUEST_CREATED: 'request_created',
+  HELP_OFFERED: 'help_offered',
+  HELPER_ACCEPTED: 'helper_accepted',
+  HELPER_WAITLISTED: 'helper_waitlisted',
+  HELP_CANCELLED: 'help_cancelled',
+  HELP_COMPLETED: 'help_completed',
+  STATUS_CHANGED: 'status_changed'
+};
+
+const { OPEN, IN_PROGRESS, COMPLETED, CANCELLED, EXPIRED } = STATUSES;
+const { AUTHOR, HELPER, SYSTEM } = ACTORS;
+
+const TRANSITIONS = [
+  // Enough helpers accepted, or an accepted helper dropped out with nobody
+  // waiting. Only acceptHelper/cancelHelpOffer know, so never by hand.
+  { from: OPEN, to: IN_PROGRESS, by: [SYSTEM] },
+  { from: IN_PROGRESS, to: OPEN, by: [SYSTEM] },
+  // The author is done
+  { from: OPEN, to: COMPLETED, by: [AUTHOR] },
+  // The author confirms, or the last accepted helper marks their part done
+  { from: IN_PROGRESS, to: COMPLETED, by: [AUTHOR, HELPER] },
+  // The author says they still need help after all: back to the helpers
+  // they had (whose offers are reopened), or to Open if they had none
+  { from: COMPLETED, to: IN_PROGRESS, by: [AUTHOR] },
+  { from: COMPLETED, to: OPEN, by: [AUTHOR] },
+  // The author withdraws it, one at a time or by cancelling or skipping
+  // occurrences of their series
+  { from: OPEN, to: CANCELLED, by: [AUTHOR] },
+  { from: IN_PROGRESS, to: CANCELLED, by: [AUTHOR] },
+  // Only while nobody has taken it on; In Progress requests are left to finish
+  { from: OPEN, to: EXPIRED, by: [SYSTEM] },
+  // Renewal, which also pushes expires_at out; only through db.renewRequest
+  { from: EXPIRED, to: OPEN, by: [AUTHOR] }
+];
+
+// Still wanted: shown on the map, can expire, can be edited
+const LIVE_STATUSES = [OPEN, IN_PROGRESS];
+
+// Map any casing or spelling old clients and rows used onto a status
+// ('completed', 'in_progress', 'Canceled', ...). Returns null if unknown.
+function normalizeStatus(value) {
+  if (typeof value !== 'string') return null;
+  const key = value.trim().toLowerCase().replace(/[\s_-]+/g, ' ');
+  const aliases = { canceled: CANCELLED, 'in progress': IN_PROGRESS };
+  return aliases[key] || Object.values(STATUSES).find(status => status.toLowerCase() === key) || null;
+}
+
+function isLive(status) {
+  return LIVE_STATUSES.includes(normalizeStatus(status));
+}
+
+/**
+ * Check a status change
+ * @param {string} from - Current status
+ * @param {string} to - Requested status
+ * @param {string} actor - One of ACTORS
+ * @returns {Object} { allowed: true } or { allowed: false, reason }
+ */
+function checkTransition(from, to, actor) {
+  const current = normalizeStatus(from) || OPEN;
+  const target = normalizeStatus(to);
+
+  if (!target) {
+    return { allowed: false, reason: `Unknown status: ${to}` };
+  }
+
+  const transition = TRANSITIONS.find(t => t.from === current && t.to === target);
+  if (!transition) {
+    return { allowed: false, reason: `Cannot move a request from ${current} to ${target}` };
+  }
+
+  if (!transition.by.includes(actor)) {
+    const who = transition.by.filter(by => by !== SYSTEM).join(' or ');
+    return {
+      allowed: false,
+      reason: who ?
+        `Only the request ${who.replace(HELPER, 'accepted helper')} can move it to ${target}` :
+        `Cannot move a request to ${target} by hand`
+    };
+  }
+
+  return { allowed: true };
+}
+
+// Like checkTransition, but throws the reason
+function assertTransition(from, to, actor) {
+  const { allowed, reason } = checkTransition(from, to, actor);
+  if (!allowed) {
+    throw new Error(reason);
+  }
+}
+
+// Statuses an actor can move a request to `to` from, for bulk UPDATEs
+function sourcesFor(to, actor) {
+  return TRANSITIONS
+    .filter(t => t.to === to && t.by.includes(actor))
+    .map(t => t.from);
+}
+
+module.exports = {
+  STATUSES,
+  ACTORS,
+  EVENT_TYPES,
+  LIVE_STATUSES,
+  normalizeStatus,
+  isLive,
+  checkTransition,
+  assertTransition,
+  sourcesFor
+};
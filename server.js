@@ -4,10 +4,23 @@ const { OAuth2Client } = require('google-auth-library');
 const { initDatabase, db } = require('./database');
 require('dotenv').config();
 const aiService = require('./ai-service');
+const realtime = require('./realtime');
+const notificationService = require('./notification-service');
+const achievementService = require('./achievement-service');
+const { parsePageParams, buildPage } = require('./pagination');
+const { rateLimit } = require('./rate-limiter');
+const { findSimilar } = require('./similarity');
+const { parseRecurrence } = require('./recurrence');
+const lifecycle = require('./request-lifecycle');
+
+const { STATUSES } = lifecycle;
 
 const app = express();
 const PORT = process.env.PORT || 3000;
 
+// Render/Railway sit behind one proxy; needed for the real client IP in req.ip
+app.set('trust proxy', 1);
+
 function getAllowedGoogleClientIds() {
   const ids = (process.env.GOOGLE_CLIENT_IDS || process.env.GOOGLE_CLIENT_ID || '')
     .split(',')
@@ -22,7 +35,8 @@ const client = new OAuth2Client(allowedGoogleClientIds[0]);
 app.use(cors({
   origin: '*',
   methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
-  allowedHeaders: ['Content-Type', 'Authorization', 'Accept']
+  allowedHeaders: ['Content-Type', 'Authorization', 'Accept'],
+  exposedHeaders: ['X-Next-Cursor', 'Retry-After', 'X-RateLimit-Limit', 'X-RateLimit-Remaining', 'X-RateLimit-Reset']
 }));
 
 app.use((req, res, next) => {
@@ -40,12 +54,118 @@ app.use(express.urlencoded({
   limit: '10mb' 
 }));
 
+// Coarse budget for every API call, applied in authenticateToken so it's
+// per user; calls without a valid token count against their IP
+const apiRateLimit = rateLimit('api');
+
 // Fallback requests for in-memory storage (only used if database fails)
 let fallbackRequests = [];
 
 // Database status
 let databaseConnected = false;
 
+// How often to move requests past their expires_at to Expired
+const EXPIRY_SWEEP_INTERVAL_MS = 60 * 1000;
+
+// How long a request stays up: the default, and the most an author can choose
+// (durationHours on create and renew)
+const REQUEST_DEFAULT_DURATION_HOURS = parseFloat(process.env.REQUEST_DEFAULT_DURATION_HOURS) || 48;
+const REQUEST_MAX_DURATION_HOURS = parseFloat(process.env.REQUEST_MAX_DURATION_HOURS) || 168;
+
+// Returns { expiresAt } or { error } for an optional durationHours
+function resolveExpiry(durationHours) {
+  let hours = REQUEST_DEFAULT_DURATION_HOURS;
+  if (durationHours !== undefined && durationHours !== null) {
+    hours = parseFloat(durationHours);
+    if (isNaN(hours) || hours < 1 || hours > REQUEST_MAX_DURATION_HOURS) {
+      return { error: `durationHours must be between 1 and ${REQUEST_MAX_DURATION_HOURS}` };
+    }
+  }
+  return { expiresAt: new Date(Date.now() + hours * 60 * 60 * 1000) };
+}
+
+// Most helpers a single request can ask for (helpersNeeded)
+const MAX_HELPERS_NEEDED = 10;
+
+// Returns { helpersNeeded } or { error } for an optional helpersNeeded
+function parseHelpersNeeded(helpersNeeded) {
+  if (helpersNeeded === undefined || helpersNeeded === null) {
+    return { helpersNeeded: 1 };
+  }
+  if (!Number.isInteger(helpersNeeded) || helpersNeeded < 1 || helpersNeeded > MAX_HELPERS_NEEDED) {
+    return { error: `helpersNeeded must be a whole number from 1 to ${MAX_HELPERS_NEEDED}` };
+  }
+  return { helpersNeeded };
+}
+
+// Urgency levels the iOS client offers (UrgencyLevel in Place.swift)
+const URGENCY_LEVELS = ['Low', 'Medium', 'High', 'Urgent'];
+
+function isValidUrgencyLevel(urgencyLevel) {
+  return URGENCY_LEVELS.includes(urgencyLevel);
+}
+
+// How far ahead a request can be scheduled with neededFrom
+const MAX_SCHEDULE_AHEAD_DAYS = 30;
+
+// Returns { expiresAt, neededFrom, neededUntil } or { error } for a new
+// request's optional durationHours or neededFrom/neededUntil window.
+// A windowed request expires when its window ends (neededFrom plus the
+// default duration if only neededFrom is given).
+function resolveSchedule({ durationHours, neededFrom, neededUntil }) {
+  if (!neededFrom && !neededUntil) {
+    return { ...resolveExpiry(durationHours), neededFrom: null, neededUntil: null };
+  }
+
+  if (durationHours !== undefined && durationHours !== null) {
+    return { error: 'durationHours cannot be combined with neededFrom/neededUntil' };
+  }
+
+  const from = neededFrom ? new Date(neededFrom) : null;
+  const until = neededUntil ? new Date(neededUntil) : null;
+  if ((from && isNaN(from)) || (until && isNaN(until))) {
+    return { error: 'neededFrom and neededUntil must be ISO 8601 dates' };
+  }
+
+  const now = new Date();
+  if (from && from - now > MAX_SCHEDULE_AHEAD_DAYS * 24 * 60 * 60 * 1000) {
+    return { error: `neededFrom can be at most ${MAX_SCHEDULE_AHEAD_DAYS} days ahead` };
+  }
+  if (until && until <= now) {
+    return { error: 'neededUntil must be in the future' };
+  }
+  if (from && until && until <= from) {
+    return { error: 'neededUntil must be after neededFrom' };
+  }
+
+  const windowStart = from && from > now ? from : now;
+  const windowEnd = until || new Date(windowStart.getTime() + REQUEST_DEFAULT_DURATION_HOURS * 60 * 60 * 1000);
+  if (windowEnd - windowStart > REQUEST_MAX_DURATION_HOURS * 60 * 60 * 1000) {
+    return { error: `The needed window can be at most ${REQUEST_MAX_DURATION_HOURS} hours long` };
+  }
+
+  return { expiresAt: windowEnd, neededFrom: from, neededUntil: until };
+}
+
+// In-memory requests still within their lifetime
+function isFallbackRequestLive(request, now) {
+  const expiresAt = request.expiresAt ?
+    new Date(request.expiresAt) :
+    new Date(new Date(request.createdAt).getTime() + REQUEST_DEFAULT_DURATION_HOURS * 60 * 60 * 1000);
+  return expiresAt > now && lifecycle.isLive(request.status);
+}
+
+// Award any badges the users just unlocked, in the background
+function checkAchievements(...userIds) {
+  if (!databaseConnected) return;
+
+  for (const userId of new Set(userIds.filter(Boolean))) {
+    achievementService.evaluate(userId).catch(error => {
+      console.error('Achievement evaluation error for ' + userId + ':', error.message);
+    });
+  }
+}
+
 // Initialize database on startup - clean version without sample data
 async function startServer() {
   try {
@@ -63,6 +183,9 @@ async function startServer() {
       console.log('Database test failed:', testError.message);
       databaseConnected = false;
     }
+
+    setInterval(sweepExpiredRequests, EXPIRY_SWEEP_INTERVAL_MS);
+    setInterval(postDueSeriesOccurrences, SERIES_SWEEP_INTERVAL_MS);
     
   } catch (error) {
     console.error('  Database connection failed:', error.message);
@@ -71,6 +194,63 @@ async function startServer() {
   }
 }
 
+// Expire requests past their expires_at, push request.expired and tell each author
+async function sweepExpiredRequests() {
+  if (!databaseConnected) return;
+
+  try {
+    const expired = await db.expireDueRequests();
+    for (const request of expired) {
+      const visible = request.ai_safety_check === 'safe' || request.ai_safety_check === null;
+      if (visible) {
+        realtime.publish(realtime.eventTypes.REQUEST_EXPIRED, request);
+      }
+      await notificationService.notifyRequestExpired(request).catch(notifyError => {
+        console.error('Expiry notification error:', notifyError.message);
+      });
+    }
+    if (expired.length > 0) {
+      console.log(`Expired ${expired.length} request(s)`);
+    }
+  } catch (error) {
+    console.error('Expiry sweep error:', error.message);
+  }
+}
+
+// How often to post recurring requests' occurrences, and how long before
+// its start each occurrence goes up
+const SERIES_SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+const SERIES_LOOKAHEAD_HOURS = parseFloat(process.env.SERIES_LOOKAHEAD_HOURS) || 24;
+
+// Post series occurrences coming up within the lookahead. The series'
+// standing helper hears about each one; occurrences still needing helpers
+// also go to nearby helpers like a new request.
+async function postDueSeriesOccurrences() {
+  if (!databaseConnected) return;
+
+  try {
+    const posted = await db.postDueOccurrences(SERIES_LOOKAHEAD_HOURS * 60 * 60 * 1000);
+    for (const request of posted) {
+      const notifications = [];
+      if (request.accepted_helper_id) {
+        notifications.push(notificationService.notifySeriesOccurrence(request));
+      }
+      if (request.status === STATUSES.OPEN) {
+        notifications.push(notificationService.notifyNearbyHelpers(request));
+      }
+      checkAchievements(request.author_id, request.accepted_helper_id);
+      await Promise.all(notifications).catch(notifyError => {
+        console.error('Series occurrence notification error:', notifyError.message);
+      });
+    }
+    if (posted.length > 0) {
+      console.log(`Posted ${posted.length} series occurrence(s)`);
+    }
+  } catch (error) {
+    console.error('Series sweep error:', error.message);
+  }
+}
+
 // Utility function to verify Google token
 async function verifyGoogleToken(token) {
   try {
@@ -96,38 +276,75 @@ async function verifyGoogleToken(token) {
   }
 }
 
+// Roles in ascending order of access; each role can do everything below it
+const ROLES = ['student', 'moderator', 'admin'];
+
+// Accounts that are always admins (comma-separated ADMIN_EMAILS)
+const adminEmails = (process.env.ADMIN_EMAILS || '')
+  .split(',')
+  .map(s => s.trim().toLowerCase())
+  .filter(Boolean);
+
 // Middleware to authenticate requests
 async function authenticateToken(req, res, next) {
   const authHeader = req.headers['authorization'];
   const token = authHeader && authHeader.replace('Bearer ', '');
 
   if (!token) {
-    return res.status(401).json({ error: 'Access token required' });
+    return apiRateLimit(req, res, () => res.status(401).json({ error: 'Access token required' }));
   }
 
   try {
     const user = await verifyGoogleToken(token);
+    user.role = 'student';
     
     // Create or update user in database when they authenticate
     if (databaseConnected) {
       try {
-        await db.upsertUser({
+        const dbUser = await db.upsertUser({
           id: user.id,
           email: user.email,
           name: user.name
         });
+        user.role = dbUser.role || 'student';
       } catch (dbError) {
         // Non-fatal: continue with auth
       }
     }
 
+    // Bootstrap admins from the environment (also works with the database down)
+    if (adminEmails.includes(user.email.toLowerCase()) && user.role !== 'admin') {
+      user.role = 'admin';
+      if (databaseConnected) {
+        db.setUserRole(user.id, 'admin').catch(roleError => {
+          console.error('Failed to persist admin role:', roleError.message);
+        });
+      }
+    }
+
     req.user = user;
-    next();
+    return apiRateLimit(req, res, next);
   } catch (error) {
-    return res.status(403).json({ error: 'Invalid or expired token' });
+    return apiRateLimit(req, res, () => res.status(403).json({ error: 'Invalid or expired token' }));
   }
 }
 
+// Whether a user's role is at least minimumRole
+function hasRole(user, minimumRole) {
+  return !!user && ROLES.indexOf(user.role) >= ROLES.indexOf(minimumRole);
+}
+
+// Middleware factory for role-restricted routes; use after authenticateToken
+// e.g. app.get('/api/admin/...', authenticateToken, requireRole('moderator'), ...)
+function requireRole(minimumRole) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, minimumRole)) {
+      return res.status(403).json({ error: `${minimumRole} access required` });
+    }
+    next();
+  };
+}
+
 // Helper function to calculate distance between two points (in miles)
 function calculateDistance(lat1, lon1, lat2, lon2) {
   const R = 3959; // Earth's radius in miles
@@ -140,6 +357,114 @@ function calculateDistance(lat1, lon1, lat2, lon2) {
   return R * c;
 }
 
+// Location query limits for /api/fetch
+const MAX_RADIUS_MILES = 50;
+const MAX_NEAREST = 200;
+
+// Parse location params for /api/fetch:
+// lat/lon origin, radius (miles), minLat/maxLat/minLon/maxLon box,
+// nearest=N (closest N requests) and sort=distance (nearest-first)
+function parseGeoQuery(query) {
+  const geo = {};
+
+  if (query.lat !== undefined || query.lon !== undefined) {
+    const lat = parseFloat(query.lat);
+    const lon = parseFloat(query.lon);
+    if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return { error: 'lat and lon must be valid coordinates' };
+    }
+    geo.lat = lat;
+    geo.lon = lon;
+  }
+
+  const hasOrigin = geo.lat !== undefined;
+
+  if (query.radius !== undefined) {
+    const radius = parseFloat(query.radius);
+    if (!hasOrigin) {
+      return { error: 'radius requires lat and lon' };
+    }
+    if (isNaN(radius) || radius <= 0 || radius > MAX_RADIUS_MILES) {
+      return { error: `radius must be greater than 0 and at most ${MAX_RADIUS_MILES} miles` };
+    }
+    geo.radiusMiles = radius;
+  }
+
+  if (query.nearest !== undefined) {
+    const nearest = parseInt(query.nearest);
+    if (!hasOrigin) {
+      return { error: 'nearest requires lat and lon' };
+    }
+    if (isNaN(nearest) || nearest < 1 || nearest > MAX_NEAREST) {
+      return { error: `nearest must be between 1 and ${MAX_NEAREST}` };
+    }
+    geo.sortByDistance = true;
+    geo.limit = nearest;
+  }
+
+  if (query.sort === 'distance') {
+    if (!hasOrigin) {
+      return { error: 'sort=distance requires lat and lon' };
+    }
+    geo.sortByDistance = true;
+  }
+
+  const bounds = ['minLat', 'maxLat', 'minLon', 'maxLon'];
+  const provided = bounds.filter(key => query[key] !== undefined);
+  if (provided.length > 0) {
+    if (provided.length !== bounds.length) {
+      return { error: 'Bounding box requires minLat, maxLat, minLon and maxLon' };
+    }
+    const bbox = {};
+    for (const key of bounds) {
+      bbox[key] = parseFloat(query[key]);
+      if (isNaN(bbox[key])) {
+        return { error: 'Invalid bounding box coordinate: ' + key };
+      }
+    }
+    if (bbox.minLat > bbox.maxLat || bbox.minLon > bbox.maxLon) {
+      return { error: 'Bounding box minimums must not exceed maximums' };
+    }
+    geo.bbox = bbox;
+  }
+
+  return geo;
+}
+
+// Same filtering as db.getActiveRequests(geo), for in-memory fallback requests
+function applyGeoQuery(requests, geo) {
+  let results = requests;
+
+  if (geo.lat !== undefined) {
+    results = results.map(request => ({
+      ...request,
+      distance_miles: calculateDistance(geo.lat, geo.lon, request.latitude, request.longitude)
+    }));
+  }
+
+  if (geo.radiusMiles) {
+    results = results.filter(request => request.distance_miles <= geo.radiusMiles);
+  }
+
+  if (geo.bbox) {
+    const { minLat, maxLat, minLon, maxLon } = geo.bbox;
+    results = results.filter(request =>
+      request.latitude >= minLat && request.latitude <= maxLat &&
+      request.longitude >= minLon && request.longitude <= maxLon
+    );
+  }
+
+  if (geo.sortByDistance) {
+    results = [...results].sort((a, b) => a.distance_miles - b.distance_miles);
+  }
+
+  if (geo.limit) {
+    results = results.slice(0, geo.limit);
+  }
+
+  return results;
+}
+
 // Routes
 
 // Enhanced health check
@@ -186,13 +511,58 @@ app.get('/health', async (req, res) => {
 });
 
 // GET /api/fetch - Retrieve all help requests WITH HELPER STATUS
+// Paginated newest-first when limit/cursor is passed (next page token in
+// X-Next-Cursor), except nearest-first queries, which are bounded by
+// nearest=N instead
 app.get('/api/fetch', authenticateToken, async (req, res) => {
   try {
     let activeRequests = [];
+    let nextCursor = null;
+
+    const geo = parseGeoQuery(req.query);
+    if (geo.error) {
+      return res.status(400).json({ error: geo.error });
+    }
+
+    // when=now: needed already; when=upcoming: scheduled for later; default both
+    const when = req.query.when || 'all';
+    if (!['now', 'upcoming', 'all'].includes(when)) {
+      return res.status(400).json({ error: 'when must be now, upcoming or all' });
+    }
+    // Fallback requests keep the camelCase fields from buildRequestData
+    const isUpcoming = (request, now) => {
+      const neededFrom = request.needed_from || request.neededFrom;
+      return !!neededFrom && new Date(neededFrom) > now;
+    };
+    const liveFallbackRequests = (now) => fallbackRequests.filter(request =>
+      isFallbackRequestLive(request, now) &&
+      (when === 'all' || isUpcoming(request, now) === (when === 'upcoming')));
+
+    // Older clients that don't read X-Next-Cursor keep getting every live request
+    let page = null;
+    const wantsPage = req.query.limit !== undefined || req.query.cursor !== undefined;
+    if (!geo.sortByDistance && wantsPage) {
+      page = parsePageParams(req.query);
+      if (page.error) {
+        return res.status(400).json({ error: page.error });
+      }
+    } else if (req.query.cursor) {
+      return res.status(400).json({ error: 'cursor cannot be combined with nearest or sort=distance' });
+    }
 
     if (databaseConnected) {
       try {
-        activeRequests = await db.getActiveRequests();
+        // Last known location drives nearby-request notifications (non-fatal)
+        if (geo.lat !== undefined) {
+          db.updateUserLocation(req.user.id, geo.lat, geo.lon).catch(locationError => {
+            console.error('Failed to update user location:', locationError.message);
+          });
+        }
+
+        activeRequests = await db.getActiveRequests(geo, page, { when });
+        if (page) {
+          ({ items: activeRequests, nextCursor } = buildPage(activeRequests, page.limit));
+        }
 
         // Check which requests the current user is helping with
         const userId = req.user.id;
@@ -206,55 +576,54 @@ app.get('/api/fetch', authenticateToken, async (req, res) => {
           const requestIds = activeRequests.map(r => parseInt(r.id));
           const helpResult = await db.pool.query(helpCheckQuery, [userId, requestIds]);
           const helpingRequestIds = new Set(helpResult.rows.map(row => row.request_id.toString()));
+          const unreadCounts = await db.getUnreadMessageCounts(userId, requestIds);
           
-          // Add helping status to each request
+          // Add helping status and unread message count to each request
           activeRequests = activeRequests.map(request => ({
             ...request,
-            isCurrentUserHelping: helpingRequestIds.has(request.id.toString())
+            isCurrentUserHelping: helpingRequestIds.has(request.id.toString()),
+            unreadMessageCount: unreadCounts[request.id] || 0
           }));
         }
         
       } catch (dbError) {
         const now = new Date();
-        activeRequests = fallbackRequests.filter(request => {
-          const hoursSinceCreated = (now - new Date(request.createdAt)) / (1000 * 60 * 60);
-          return hoursSinceCreated < 24 && request.status !== 'Cancelled';
-        }).map(request => ({
+        activeRequests = applyGeoQuery(liveFallbackRequests(now), geo).map(request => ({
           ...request,
           isCurrentUserHelping: request.helpers && request.helpers.includes(req.user.id)
         }));
       }
     } else {
       const now = new Date();
-      activeRequests = fallbackRequests.filter(request => {
-        const hoursSinceCreated = (now - new Date(request.createdAt)) / (1000 * 60 * 60);
-        return hoursSinceCreated < 24 && request.status !== 'Cancelled';
-      }).map(request => ({
+      activeRequests = applyGeoQuery(liveFallbackRequests(now), geo).map(request => ({
         ...request,
         isCurrentUserHelping: request.helpers && request.helpers.includes(req.user.id)
       }));
     }
 
-    // Calculate distances if user location provided
-    const userLat = parseFloat(req.query.lat);
-    const userLon = parseFloat(req.query.lon);
-    
-    let responseRequests = activeRequests;
-    
-    if (userLat && userLon) {
-      responseRequests = activeRequests.map(request => ({
-        ...request,
-        distance: calculateDistance(userLat, userLon, request.latitude, request.longitude).toFixed(1) + 'mi',
-        duration: Math.ceil(calculateDistance(userLat, userLon, request.latitude, request.longitude) * 15) + 'min'
-      }));
-    } else {
-      responseRequests = activeRequests.map(request => ({
-        ...request,
-        distance: '0.5mi',
-        duration: '5min'
-      }));
+    // In-memory fallback is not cursor-paginated; just cap the page size
+    if (page && activeRequests.length > page.limit) {
+      activeRequests = activeRequests.slice(0, page.limit);
     }
 
+    // distance_miles is numeric (null without lat/lon) for sorting on the client;
+    // distance/duration stay as display strings (walking at ~15 min per mile)
+    const now = new Date();
+    const responseRequests = activeRequests.map(request => {
+      const distanceMiles = request.distance_miles ?? null;
+      return {
+        ...request,
+        is_upcoming: isUpcoming(request, now),
+        distance_miles: distanceMiles,
+        duration_minutes: distanceMiles !== null ? Math.ceil(distanceMiles * 15) : null,
+        distance: distanceMiles !== null ? distanceMiles.toFixed(1) + 'mi' : '',
+        duration: distanceMiles !== null ? Math.ceil(distanceMiles * 15) + 'min' : ''
+      };
+    });
+
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
     res.json(responseRequests);
   } catch (error) {
     console.error('Fetch error:', error);
@@ -262,6 +631,46 @@ app.get('/api/fetch', authenticateToken, async (req, res) => {
   }
 });
 
+// Switch a response to Server-Sent Events; returns send(event, data)
+function startEventStream(res) {
+  res.set({
+    'Content-Type': 'text/event-stream',
+    'Cache-Control': 'no-cache',
+    'Connection': 'keep-alive',
+    'X-Accel-Buffering': 'no'
+  });
+  res.flushHeaders();
+
+  return (event, data) => {
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+}
+
+// AbortController that fires if the client disconnects before the response
+// ends, so an upstream AI stream isn't left running for nobody
+function abortOnDisconnect(res) {
+  const controller = new AbortController();
+  res.on('close', () => {
+    if (!res.writableFinished) controller.abort();
+  });
+  return controller;
+}
+
+// GET /api/stream - Server-Sent Events feed of request changes
+// Subscribe by viewport (minLat, maxLat, minLon, maxLon) and/or requestIds=1,2,3
+app.get('/api/stream', authenticateToken, (req, res) => {
+  const filter = realtime.parseFilter(req.query);
+  if (filter.error) {
+    return res.status(400).json({ error: filter.error });
+  }
+
+  const send = startEventStream(res);
+  send('ready', { eventTypes: Object.values(realtime.eventTypes) });
+
+  const unsubscribe = realtime.subscribe(res, filter);
+  req.on('close', unsubscribe);
+});
+
 // Check if current user is helping
 app.get('/api/requests/:id/helper-status', authenticateToken, async (req, res) => {
   try {
@@ -279,6 +688,7 @@ app.get('/api/requests/:id/helper-status', authenticateToken, async (req, res) =
         const isHelping = result.rows.length > 0;
         res.json({
           isHelping: isHelping,
+          offerStatus: isHelping ? result.rows[0].status : null,
           helpOfferedAt: isHelping ? result.rows[0].created_at : null
         });
         return;
@@ -315,9 +725,14 @@ app.post('/api/requests/:id/offer-help', authenticateToken, async (req, res) =>
     if (databaseConnected) {
       try {
         const result = await db.offerHelp(requestId, userId, userName);
+        const waitlisted = result.offer_status === 'waitlisted';
+        checkAchievements(userId);
         res.json({ 
           success: true, 
-          message: 'Help offered successfully',
+          message: waitlisted ?
+            'This request has all the helpers it needs; you are on the waitlist' :
+            'Help offered successfully',
+          waitlisted,
           request: result,
           database_used: true
         });
@@ -351,8 +766,8 @@ app.post('/api/requests/:id/offer-help', authenticateToken, async (req, res) =>
     request.helpers.push(userId);
     request.helpersCount = request.helpers.length;
     
-    if (request.status === 'Open') {
-      request.status = 'In Progress';
+    if (request.status === STATUSES.OPEN) {
+      request.status = STATUSES.IN_PROGRESS;
     }
     
     request.updatedAt = new Date();
@@ -375,83 +790,25 @@ app.post('/api/requests/:id/complete-help', authenticateToken, async (req, res)
   try {
     const requestId = req.params.id;
     const helperId = req.user.id;
-    const helperName = req.user.name;
 
     if (databaseConnected) {
       try {
-        const client = await db.pool.connect();
-        
-        try {
-          await client.query('BEGIN');
-          
-          // Check if helper is actually helping with this request
-          const helperCheck = await client.query(
-            'SELECT * FROM help_offers WHERE request_id = $1 AND helper_id = $2',
-            [requestId, helperId]
-          );
-          
-          if (helperCheck.rows.length === 0) {
-            await client.query('ROLLBACK');
-            return res.status(400).json({ error: 'You are not helping with this request' });
-          }
-          
-          // Mark the help offer as completed
-          await client.query(
-            `UPDATE help_offers 
-             SET completed_at = NOW()
-             WHERE request_id = $1 AND helper_id = $2`,
-            [requestId, helperId]
-          );
-          
-          // Check if this was the last active helper
-          const activeHelpersResult = await client.query(
-            `SELECT COUNT(*) as count FROM help_offers 
-             WHERE request_id = $1 AND completed_at IS NULL`,
-            [requestId]
-          );
-          
-          const activeHelpersCount = parseInt(activeHelpersResult.rows[0].count);
-          
-          // Get request details
-          const requestResult = await client.query(
-            'SELECT * FROM help_requests WHERE id = $1',
-            [requestId]
-          );
-          
-          if (requestResult.rows.length === 0) {
-            await client.query('ROLLBACK');
-            return res.status(404).json({ error: 'Request not found' });
-          }
-          
-          const request = requestResult.rows[0];
-          
-          // If no more active helpers, mark request as completed
-          if (activeHelpersCount === 0) {
-            await client.query(
-              `UPDATE help_requests 
-               SET status = 'Completed', updated_at = NOW()
-               WHERE id = $1`,
-              [requestId]
-            );
-          }
-          
-          await client.query('COMMIT');
-
-          res.json({
-            success: true,
-            message: 'Help marked as complete',
-            request_status: activeHelpersCount === 0 ? 'Completed' : 'In Progress',
-            active_helpers: activeHelpersCount
-          });
-          
-        } catch (error) {
-          await client.query('ROLLBACK');
-          throw error;
-        } finally {
-          client.release();
-        }
+        const { request, activeHelpers } = await db.completeHelp(requestId, helperId);
+        checkAchievements(helperId);
         
+        res.json({
+          success: true,
+          message: 'Help marked as complete',
+          request_status: request.status,
+          active_helpers: activeHelpers
+        });
       } catch (dbError) {
+        if (dbError.message.includes('not found')) {
+          return res.status(404).json({ error: dbError.message });
+        }
+        if (dbError.message.startsWith('You are not helping')) {
+          return res.status(400).json({ error: dbError.message });
+        }
         return res.status(500).json({ error: 'Database error' });
       }
     } else {
@@ -477,7 +834,7 @@ app.post('/api/requests/:id/complete-help', authenticateToken, async (req, res)
       
       // If no more active helpers, mark as completed
       if (request.helpers.length === 0) {
-        request.status = 'Completed';
+        request.status = STATUSES.COMPLETED;
       }
       
       request.updatedAt = new Date();
@@ -496,931 +853,1964 @@ app.post('/api/requests/:id/complete-help', authenticateToken, async (req, res)
   }
 });
 
-// Get all helpers who offered help for a request
-app.get('/api/requests/:id/helpers', authenticateToken, async (req, res) => {
+// GET /api/requests/:id - A single request. Requests held for moderation are
+// only visible to their author.
+app.get('/api/requests/:id', authenticateToken, async (req, res) => {
   try {
-    const requestId = req.params.id;
-    const userId = req.user.id;
-
     if (!databaseConnected) {
       return res.status(503).json({ error: 'Database not available' });
     }
 
-    // Verify user is the request author
-    const requestCheck = await db.pool.query(
-      'SELECT author_id FROM help_requests WHERE id = $1',
-      [requestId]
-    );
+    const request = /^\d+$/.test(req.params.id) ? await db.getRequest(req.params.id) : null;
+    const visible = request &&
+      (request.ai_safety_check === 'safe' || request.ai_safety_check === null || request.author_id === req.user.id);
 
-    if (requestCheck.rows.length === 0) {
+    if (!visible) {
       return res.status(404).json({ error: 'Request not found' });
     }
 
-    if (requestCheck.rows[0].author_id !== userId) {
-      return res.status(403).json({ error: 'Only the request author can view helpers' });
-    }
-
-    const helpers = await db.getHelpersForRequest(requestId);
-    res.json({
-      helpers: helpers.map(h => ({
-        id: h.helper_id,
-        name: h.helper_name,
-        email: h.helper_email,
-        status: h.status,
-        offeredAt: h.created_at,
-        completedAt: h.completed_at
-      }))
-    });
+    res.json({ request });
 
   } catch (error) {
-    console.error('❌ Get helpers error:', error);
-    res.status(500).json({ error: 'Failed to get helpers' });
+    console.error('❌ Get request error:', error);
+    res.status(500).json({ error: 'Failed to get request' });
   }
 });
 
-// Requester accepts a specific helper
-app.post('/api/requests/:id/accept-helper', authenticateToken, async (req, res) => {
-  try {
-    const requestId = req.params.id;
-    const userId = req.user.id;
-    const { helperId } = req.body;
-
-    if (!helperId) {
-      return res.status(400).json({ error: 'Helper ID is required' });
+// Returns { changes } or { error } for an edit body: any of title,
+// description, contact, urgencyLevel, and latitude with longitude
+function parseRequestChanges(body) {
+  const changes = {};
+  for (const field of ['title', 'description', 'contact', 'urgencyLevel']) {
+    if (body[field] !== undefined) {
+      if (typeof body[field] !== 'string' || (field !== 'contact' && !body[field].trim())) {
+        return { error: `${field} must be a non-empty string` };
+      }
+      changes[field] = field === 'contact' ? body[field] : body[field].trim();
     }
+  }
 
-    if (!databaseConnected) {
-      return res.status(503).json({ error: 'Database not available' });
+  if (changes.urgencyLevel !== undefined && !isValidUrgencyLevel(changes.urgencyLevel)) {
+    return { error: `urgencyLevel must be one of ${URGENCY_LEVELS.join(', ')}` };
+  }
+
+  if ((body.latitude === undefined) !== (body.longitude === undefined)) {
+    return { error: 'latitude and longitude must be updated together' };
+  }
+  if (body.latitude !== undefined) {
+    const latitude = parseFloat(body.latitude);
+    const longitude = parseFloat(body.longitude);
+    if (isNaN(latitude) || isNaN(longitude) || Math.abs(latitude) > 90 || Math.abs(longitude) > 180) {
+      return { error: 'Invalid latitude or longitude' };
     }
+    changes.latitude = latitude;
+    changes.longitude = longitude;
+  }
 
-    const updatedRequest = await db.acceptHelper(requestId, helperId, userId);
-    res.json({
-      success: true,
-      message: 'Helper accepted successfully',
-      request: updatedRequest
-    });
+  if (Object.keys(changes).length === 0) {
+    return { error: 'Nothing to update' };
+  }
 
-  } catch (error) {
-    console.error('❌ Accept helper error:', error);
-    if (error.message.includes('not found')) {
-      res.status(404).json({ error: error.message });
-    } else if (error.message.includes('Only the request author')) {
-      res.status(403).json({ error: error.message });
-    } else {
-      res.status(500).json({ error: 'Failed to accept helper' });
-    }
+  return { changes };
+}
+
+// Re-run the safety check and categorization for an edit, only when the text
+// actually changed. current is a help_requests or request_series row.
+// Returns { aiAnalysis, moderation }; moderation is the failed safety check.
+async function analyzeChangedText(current, changes, userId) {
+  const title = changes.title ?? current.title;
+  const description = changes.description ?? current.description;
+  const urgencyLevel = changes.urgencyLevel ?? current.urgency_level;
+
+  if (title === current.title && description === current.description) {
+    return { aiAnalysis: null, moderation: null };
   }
-});
-// POST /api/requests/:id/complete - Requester marks request as completed
-app.post('/api/requests/:id/complete', authenticateToken, async (req, res) => {
+
+  const safetyResult = await aiService.performSafetyCheck(title, description, { userId });
+  if (!safetyResult.isSafe) {
+    return {
+      aiAnalysis: aiService.fallbackCategorization(title, description, urgencyLevel),
+      moderation: safetyResult
+    };
+  }
+
+  return {
+    aiAnalysis: await aiService.categorizeRequest(title, description, urgencyLevel, { userId }),
+    moderation: null
+  };
+}
+
+// PUT /api/requests/:id - Author edits title, description, location, contact
+// or urgency. Changed text is safety-checked and re-categorized; a flagged
+// edit hides the request for moderator review. Active helpers are notified.
+app.put('/api/requests/:id', authenticateToken, rateLimit('create'), async (req, res) => {
   try {
-    const requestId = req.params.id;
-    const userId = req.user.id;
+    const { changes, error } = parseRequestChanges(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
 
     if (!databaseConnected) {
       return res.status(503).json({ error: 'Database not available' });
     }
 
-    const updatedRequest = await db.completeRequest(requestId, userId);
+    const current = /^\d+$/.test(req.params.id) ? await db.getRequest(req.params.id) : null;
+    if (!current) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+    if (current.author_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the request author can edit this request' });
+    }
+
+    const { aiAnalysis, moderation } = await analyzeChangedText(current, changes, req.user.id);
+
+    const { request, changedFields } = await db.updateRequest(req.params.id, req.user.id, changes, { aiAnalysis, moderation });
+
+    if (moderation) {
+      return res.status(400).json({
+        error: 'Request flagged',
+        flagged: true,
+        category: moderation.flaggedCategory,
+        reason: moderation.reason,
+        severity: moderation.severity,
+        underReview: true
+      });
+    }
+
+    if (changedFields.length > 0) {
+      if (aiAnalysis) {
+        db.saveAIInsight(request.id, 'categorization', aiAnalysis);
+      }
+      notificationService.notifyRequestUpdated(request, changedFields).catch(notifyError => {
+        console.error('Update notification error:', notifyError.message);
+      });
+    }
+
     res.json({
-      success: true,
-      message: 'Request completed successfully',
-      request: updatedRequest
+      message: changedFields.length > 0 ? 'Request updated successfully' : 'No changes',
+      changedFields,
+      request
     });
 
   } catch (error) {
-    console.error('❌ Complete request error:', error);
+    console.error('❌ Update request error:', error);
     if (error.message.includes('not found')) {
       res.status(404).json({ error: error.message });
     } else if (error.message.includes('Only the request author')) {
       res.status(403).json({ error: error.message });
+    } else if (error.message.includes('Cannot edit')) {
+      res.status(409).json({ error: error.message });
     } else {
-      res.status(500).json({ error: 'Failed to complete request' });
+      res.status(500).json({ error: 'Failed to update request' });
     }
   }
 });
 
-// Cancel a help offer
-app.post('/api/requests/:id/cancel-help', authenticateToken, async (req, res) => {
+// POST /api/requests/:id/renew - Author extends a request that still needs
+// help ({ durationHours }, default REQUEST_DEFAULT_DURATION_HOURS from now).
+// Expired requests go back to Open.
+app.post('/api/requests/:id/renew', authenticateToken, async (req, res) => {
   try {
-    const requestId = req.params.id;
-    const helperId = req.user.id;
+    const expiry = resolveExpiry(req.body.durationHours);
+    if (expiry.error) {
+      return res.status(400).json({ error: expiry.error });
+    }
+
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
 
     if (!databaseConnected) {
       return res.status(503).json({ error: 'Database not available' });
     }
 
-    await db.cancelHelpOffer(requestId, helperId);
+    const request = await db.renewRequest(req.params.id, req.user.id, expiry.expiresAt);
+
     res.json({
       success: true,
-      message: 'Help offer cancelled successfully'
+      message: 'Request renewed',
+      expiresAt: request.expires_at,
+      request
     });
 
   } catch (error) {
-    console.error('❌ Cancel help error:', error);
-    res.status(500).json({ error: 'Failed to cancel help offer' });
+    console.error('❌ Renew request error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Only the request author')) {
+      res.status(403).json({ error: error.message });
+    } else if (error.message.includes('Cannot renew')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to renew request' });
+    }
   }
 });
 
-// for requester confirmation workflow
-app.post('/api/requests/:id/confirm-completion', authenticateToken, async (req, res) => {
+// GET /api/requests/:id/revisions - Prior versions of a request, newest first
+app.get('/api/requests/:id/revisions', authenticateToken, async (req, res) => {
   try {
-    const requestId = req.params.id;
-    const requesterId = req.user.id;
-    const { confirmed, stillNeedHelp } = req.body;
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
 
-    if (databaseConnected) {
-      try {
-        // Check if user is the requester
-        const requestResult = await db.pool.query(
-          'SELECT * FROM help_requests WHERE id = $1 AND author_id = $2',
-          [requestId, requesterId]
-        );
-        
-        if (requestResult.rows.length === 0) {
-          return res.status(404).json({ error: 'Request not found or unauthorized' });
-        }
-        
-        if (confirmed && !stillNeedHelp) {
-          // Mark request as completed
-          await db.pool.query(
-            `UPDATE help_requests 
-             SET status = 'Completed', updated_at = NOW()
-             WHERE id = $1`,
-            [requestId]
-          );
-          
-          res.json({
-            success: true,
-            message: 'Request marked as completed',
-            status: 'Completed'
-          });
-          
-        } else if (stillNeedHelp) {
-          // Reset to "In Progress"
-          await db.pool.query(
-            `UPDATE help_requests 
-             SET status = 'In Progress', updated_at = NOW()
-             WHERE id = $1`,
-            [requestId]
-          );
-          
-          res.json({
-            success: true,
-            message: 'Request reset to in-progress',
-            status: 'In Progress'
-          });
-        } else {
-          return res.status(400).json({ error: 'Invalid completion parameters' });
-        }
-        
-      } catch (dbError) {
-        return res.status(500).json({ error: 'Database error' });
-      }
-    } else {
-      // Fallback logic for in-memory storage
-      const requestIndex = fallbackRequests.findIndex(r => r.id === requestId && r.authorId === requesterId);
-      if (requestIndex === -1) {
-        return res.status(404).json({ error: 'Request not found or unauthorized' });
-      }
-      
-      if (confirmed && !stillNeedHelp) {
-        fallbackRequests[requestIndex].status = 'Completed';
-      } else if (stillNeedHelp) {
-        fallbackRequests[requestIndex].status = 'In Progress';
-      }
-      
-      fallbackRequests[requestIndex].updatedAt = new Date();
-      
-      res.json({
-        success: true,
-        message: 'Request status updated',
-        status: fallbackRequests[requestIndex].status
-      });
+    const request = /^\d+$/.test(req.params.id) ? await db.getRequest(req.params.id) : null;
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    if (request.author_id !== req.user.id && !hasRole(req.user, 'moderator')) {
+      return res.status(403).json({ error: 'Only the request author can view its history' });
     }
 
+    const revisions = await db.getRequestRevisions(request.id);
+    res.json({
+      revisions: revisions.map(r => ({
+        revision: r.revision_number,
+        title: r.title,
+        description: r.description,
+        latitude: parseFloat(r.latitude),
+        longitude: parseFloat(r.longitude),
+        contact: r.contact,
+        urgencyLevel: r.urgency_level,
+        category: r.ai_category,
+        safetyCheck: r.ai_safety_check,
+        changedFields: r.changed_fields,
+        editedBy: r.edited_by,
+        replacedAt: r.created_at
+      }))
+    });
+
   } catch (error) {
-    console.error('  Confirm completion error:', error);
-    res.status(500).json({ error: 'Failed to confirm completion' });
+    console.error('❌ Get revisions error:', error);
+    res.status(500).json({ error: 'Failed to get revisions' });
   }
 });
 
-//  Update request status
-app.put('/api/requests/:id/status', authenticateToken, async (req, res) => {
+// GET /api/requests/:id/events - What happened on a request, oldest first:
+// offers, acceptances, waitlisting, cancellations, completions and status
+// changes, with who made each one
+app.get('/api/requests/:id/events', authenticateToken, async (req, res) => {
   try {
-    const requestId = req.params.id;
-    const { status } = req.body;
-    const userId = req.user.id;
-
-    if (!['Open', 'In Progress', 'Completed', 'Cancelled'].includes(status)) {
-      return res.status(400).json({ error: 'Invalid status' });
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
     }
 
-    if (databaseConnected) {
-      try {
-        const result = await db.updateRequestStatus(requestId, status, userId);
-        if (!result) {
-          return res.status(404).json({ error: 'Request not found or unauthorized' });
-        }
-        res.json({ 
-          success: true, 
-          message: 'Status updated successfully',
-          request: result,
-          database_used: true
-        });
-        return;
-      } catch (dbError) {
-        // fall through to fallback
-      }
+    const request = /^\d+$/.test(req.params.id) ? await db.getRequest(req.params.id) : null;
+    if (!request) {
+      return res.status(404).json({ error: 'Request not found' });
     }
 
-    const requestIndex = fallbackRequests.findIndex(r => r.id === requestId && r.authorId === userId);
-    if (requestIndex === -1) {
-      return res.status(404).json({ error: 'Request not found or unauthorized' });
+    if (request.author_id !== req.user.id && !hasRole(req.user, 'moderator')) {
+      return res.status(403).json({ error: 'Only the request author can view its history' });
     }
 
-    fallbackRequests[requestIndex].status = status;
-    fallbackRequests[requestIndex].updatedAt = new Date();
-    res.json({ 
-      success: true, 
-      message: 'Status updated successfully',
-      request: fallbackRequests[requestIndex],
-      database_used: false
+    const events = await db.getRequestEvents(request.id);
+    res.json({
+      events: events.map(e => ({
+        id: e.id.toString(),
+        type: e.event_type,
+        actorId: e.actor_id,
+        actorName: e.actor_name,
+        actorRole: e.actor_role,
+        helperId: e.helper_id,
+        helperName: e.helper_name,
+        fromStatus: e.from_status,
+        toStatus: e.to_status,
+        data: e.data,
+        createdAt: e.created_at
+      }))
     });
 
   } catch (error) {
-    console.error('Update status error:', error);
-    res.status(500).json({ error: 'Failed to update status' });
+    console.error('❌ Get request events error:', error);
+    res.status(500).json({ error: 'Failed to get request events' });
   }
 });
 
-app.get('/api/debug/my-stats', authenticateToken, async (req, res) => {
+// Get all helpers who offered help for a request
+app.get('/api/requests/:id/helpers', authenticateToken, async (req, res) => {
   try {
+    const requestId = req.params.id;
     const userId = req.user.id;
 
     if (!databaseConnected) {
-      return res.json({ error: 'Database not connected' });
+      return res.status(503).json({ error: 'Database not available' });
     }
-    
-    // Check all authors in database
-    const allAuthors = await db.pool.query(`
-      SELECT DISTINCT author_id, author_name, COUNT(*) as count
-      FROM help_requests
-      GROUP BY author_id, author_name
-      ORDER BY count DESC
-    `);
-    
-    // Check YOUR requests
-    const myRequests = await db.pool.query(`
-      SELECT id, title, author_id, author_name, created_at
-      FROM help_requests
-      WHERE author_id = $1
-      ORDER BY created_at DESC
-    `, [userId]);
-    
-    // Check if user exists in users table
-    const userExists = await db.pool.query(`
-      SELECT * FROM users WHERE id = $1
-    `, [userId]);
-    
-    // Try alternative queries
-    const castQuery = await db.pool.query(`
-      SELECT COUNT(*) as count
-      FROM help_requests
-      WHERE CAST(author_id AS TEXT) = CAST($1 AS TEXT)
-    `, [userId]);
-    
+
+    // Verify user is the request author
+    const requestCheck = await db.pool.query(
+      'SELECT author_id, helpers_needed FROM help_requests WHERE id = $1',
+      [requestId]
+    );
+
+    if (requestCheck.rows.length === 0) {
+      return res.status(404).json({ error: 'Request not found' });
+    }
+
+    if (requestCheck.rows[0].author_id !== userId) {
+      return res.status(403).json({ error: 'Only the request author can view helpers' });
+    }
+
+    const helpers = await db.getHelpersForRequest(requestId);
+    const ratings = await db.getRatingSummaries(helpers.map(h => h.helper_id));
     res.json({
-      debugInfo: {
-        yourUserId: userId,
-        yourUserIdType: typeof userId,
-        yourEmail: req.user.email,
-        userExistsInDB: userExists.rows.length > 0,
-        userRecord: userExists.rows[0] || null
-      },
-      allAuthorsInDatabase: allAuthors.rows,
-      yourRequestsFound: myRequests.rows.length,
-      yourRequests: myRequests.rows,
-      castQueryResult: castQuery.rows[0].count,
-      diagnosis: {
-        requestsInDB: myRequests.rows.length > 0,
-        userIdMatches: myRequests.rows.length > 0 ? myRequests.rows[0].author_id === userId : false,
-        possibleIssue: myRequests.rows.length === 0 ? 'User ID not matching' : 'Query issue'
-      }
+      helpersNeeded: requestCheck.rows[0].helpers_needed,
+      acceptedCount: helpers.filter(h => h.status === 'accepted').length,
+      helpers: helpers.map(h => ({
+        id: h.helper_id,
+        name: h.helper_name,
+        email: h.helper_email,
+        status: h.status,
+        offeredAt: h.created_at,
+        completedAt: h.completed_at,
+        averageRating: ratings[h.helper_id]?.averageRating ?? null,
+        ratingCount: ratings[h.helper_id]?.ratingCount || 0
+      }))
     });
-    
+
   } catch (error) {
-    console.error('🔍 Debug error:', error);
-    res.status(500).json({ 
-      error: error.message,
-      stack: error.stack 
-    });
+    console.error('❌ Get helpers error:', error);
+    res.status(500).json({ error: 'Failed to get helpers' });
   }
 });
 
-// User statistics
-app.get('/api/user/stats', authenticateToken, async (req, res) => {
+// Requester accepts a specific helper, up to the request's helpers_needed
+app.post('/api/requests/:id/accept-helper', authenticateToken, async (req, res) => {
   try {
+    const requestId = req.params.id;
     const userId = req.user.id;
-    let stats = {
-      requestsMade: 0,
-      peopleHelped: 0,
-      communityPoints: 0,
-      thisWeek: 0,
-      currentStreak: 0,
-      totalConnectionsMade: 0,
-      avgResponseTime: 0,
-      completionRate: 0,
-      joinDate: new Date(),
-      lastActivity: null,
-      topCategories: [],
-      weeklyActivity: []
-    };
+    const { helperId } = req.body;
 
-    if (databaseConnected) {
-      try {
-        const client = await db.pool.connect();
-        
-        try {
-          // 1. Get user's requests made
-          const requestsResult = await client.query(
-            'SELECT COUNT(*) as count, MIN(created_at) as first_request FROM help_requests WHERE author_id = $1',
-            [userId]
-          );
-          stats.requestsMade = parseInt(requestsResult.rows[0].count) || 0;
+    if (!helperId) {
+      return res.status(400).json({ error: 'Helper ID is required' });
+    }
 
-          // 2. Get help offers made by user (people helped)
-          const helpResult = await client.query(`
-            SELECT COUNT(DISTINCT ho.request_id) as unique_requests_helped,
-                   COUNT(*) as total_help_offers,
-                   MAX(ho.created_at) as last_help_offered
-            FROM help_offers ho 
-            WHERE ho.helper_id = $1
-          `, [userId]);
-          
-          const helpStats = helpResult.rows[0];
-          stats.peopleHelped = parseInt(helpStats.unique_requests_helped) || 0;
-          if (helpStats.last_help_offered) {
-            stats.lastActivity = new Date(helpStats.last_help_offered).toISOString();
-          }
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
 
-          // 3. Get recent activity (this week)
-          const weekAgoResult = await client.query(`
-            SELECT COUNT(DISTINCT ho.request_id) as requests_helped_this_week
-            FROM help_offers ho 
-            WHERE ho.helper_id = $1 AND ho.created_at > NOW() - INTERVAL '7 days'
-          `, [userId]);
-          
-          stats.thisWeek = parseInt(weekAgoResult.rows[0].requests_helped_this_week) || 0;
+    const updatedRequest = await db.acceptHelper(requestId, helperId, userId);
+    res.json({
+      success: true,
+      message: 'Helper accepted successfully',
+      request: updatedRequest
+    });
 
-          // 4. Calculate community points
-          stats.communityPoints = stats.peopleHelped * 10 + stats.requestsMade * 2;
+  } catch (error) {
+    console.error('❌ Accept helper error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Only the request author')) {
+      res.status(403).json({ error: error.message });
+    } else if (error.message.includes('Cannot accept')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to accept helper' });
+    }
+  }
+});
+// POST /api/requests/:id/complete - Requester marks request as completed
+app.post('/api/requests/:id/complete', authenticateToken, async (req, res) => {
+  try {
+    const requestId = req.params.id;
+    const userId = req.user.id;
 
-          // 5. Get user join date
-          const userResult = await client.query(
-            'SELECT created_at FROM users WHERE id = $1',
-            [userId]
-          );
-          
-          if (userResult.rows.length > 0) {
-            stats.joinDate = userResult.rows[0].created_at.toISOString();
-          } else {
-            stats.joinDate = new Date().toISOString();
-          }
-        } finally {
-          client.release();
-        }
-        
-      } catch (dbError) {
-        console.error(' Database stats error:', dbError.message);
-        console.error(' Error details:', dbError);
-      }
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
     }
 
-    res.json(stats);
+    const updatedRequest = await db.completeRequest(requestId, userId);
+    db.getCompletedHelperIds(updatedRequest.id)
+      .then(helperIds => checkAchievements(userId, ...helperIds))
+      .catch(error => {
+        console.error('Achievement evaluation error:', error.message);
+      });
+
+    res.json({
+      success: true,
+      message: 'Request completed successfully',
+      request: updatedRequest
+    });
+
   } catch (error) {
-    console.error(' Stats endpoint error:', error);
-    res.status(500).json({ error: 'Failed to get user stats' });
+    console.error('❌ Complete request error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Only the request author')) {
+      res.status(403).json({ error: error.message });
+    } else if (error.message.startsWith('Cannot')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to complete request' });
+    }
   }
 });
 
+// Cancel a help offer; the first waitlisted helper takes an accepted helper's place
+app.post('/api/requests/:id/cancel-help', authenticateToken, async (req, res) => {
+  try {
+    const requestId = req.params.id;
+    const helperId = req.user.id;
 
-// Get user achievements
-app.get('/api/user/achievements', authenticateToken, async (req, res) => {
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { promotedHelperId } = await db.cancelHelpOffer(requestId, helperId);
+
+    if (promotedHelperId) {
+      db.getRequest(requestId)
+        .then(request => notificationService.notifyHelperPromoted(request, promotedHelperId))
+        .catch(notifyError => {
+          console.error('Waitlist notification error:', notifyError.message);
+        });
+    }
+
+    res.json({
+      success: true,
+      message: 'Help offer cancelled successfully',
+      promotedHelperId
+    });
+
+  } catch (error) {
+    console.error('❌ Cancel help error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to cancel help offer' });
+    }
+  }
+});
+
+// Message bodies are plain text; keep them to a chat-sized length
+const MAX_MESSAGE_LENGTH = 2000;
+
+// GET /api/requests/:id/messages - List a thread's messages, newest first
+// Helpers read their own thread; the author passes ?helperId=
+app.get('/api/requests/:id/messages', authenticateToken, async (req, res) => {
   try {
+    const requestId = req.params.id;
     const userId = req.user.id;
-    let achievements = [];
 
-    if (databaseConnected) {
-      try {
-        // Get user stats first by calling our stats endpoint
-        const statsResult = await db.pool.query(`
-          SELECT 
-            COUNT(DISTINCT hr.id) as requests_made,
-            COUNT(DISTINCT ho.request_id) as people_helped,
-            COUNT(DISTINCT ho.request_id) * 10 + COUNT(DISTINCT hr.id) * 2 as community_points
-          FROM users u
-          LEFT JOIN help_requests hr ON hr.author_id = u.id  
-          LEFT JOIN help_offers ho ON ho.helper_id = u.id
-          WHERE u.id = $1
-        `, [userId]);
-        
-        const stats = statsResult.rows[0];
-        const requestsMade = parseInt(stats.requests_made) || 0;
-        const peopleHelped = parseInt(stats.people_helped) || 0;
-        const communityPoints = parseInt(stats.community_points) || 0;
-        
-        // Calculate current streak (simplified)
-        const streakResult = await db.pool.query(`
-          SELECT COUNT(DISTINCT DATE_TRUNC('week', ho.created_at)) as active_weeks
-          FROM help_offers ho
-          WHERE ho.helper_id = $1 
-            AND ho.created_at >= NOW() - INTERVAL '4 weeks'
-        `, [userId]);
-        
-        const currentStreak = parseInt(streakResult.rows[0].active_weeks) || 0;
-        
-        // Define achievement criteria and calculate earned achievements
-        const achievementCriteria = [
-          {
-            id: 'first_help',
-            name: 'First Helper',
-            description: 'Offered help for the first time',
-            icon: '🤝',
-            condition: peopleHelped >= 1,
-            progress: Math.min(peopleHelped, 1),
-            target: 1,
-            earned: peopleHelped >= 1,
-            earnedAt: peopleHelped >= 1 ? new Date().toISOString() : null
-          },
-          {
-            id: 'helper_5',
-            name: 'Community Helper',
-            description: 'Helped 5 different people',
-            icon: '⭐',
-            condition: peopleHelped >= 5,
-            progress: peopleHelped,
-            target: 5,
-            earned: peopleHelped >= 5,
-            earnedAt: peopleHelped >= 5 ? new Date().toISOString() : null
-          },
-          {
-            id: 'helper_25',
-            name: 'Super Helper',
-            description: 'Helped 25 different people',
-            icon: '🌟',
-            condition: peopleHelped >= 25,
-            progress: peopleHelped,
-            target: 25,
-            earned: peopleHelped >= 25,
-            earnedAt: peopleHelped >= 25 ? new Date().toISOString() : null
-          },
-          {
-            id: 'streak_1',
-            name: 'Week Warrior',
-            description: 'Maintained a 1-week helping streak',
-            icon: '🔥',
-            condition: currentStreak >= 1,
-            progress: currentStreak,
-            target: 1,
-            earned: currentStreak >= 1,
-            earnedAt: currentStreak >= 1 ? new Date().toISOString() : null
-          },
-          {
-            id: 'streak_4',
-            name: 'Monthly Champion',
-            description: 'Maintained a 4-week helping streak',
-            icon: '🏆',
-            condition: currentStreak >= 4,
-            progress: currentStreak,
-            target: 4,
-            earned: currentStreak >= 4,
-            earnedAt: currentStreak >= 4 ? new Date().toISOString() : null
-          },
-          {
-            id: 'points_100',
-            name: 'Point Collector',
-            description: 'Earned 100 community points',
-            icon: '💎',
-            condition: communityPoints >= 100,
-            progress: communityPoints,
-            target: 100,
-            earned: communityPoints >= 100,
-            earnedAt: communityPoints >= 100 ? new Date().toISOString() : null
-          },
-          {
-            id: 'requester',
-            name: 'Help Seeker',
-            description: 'Made your first help request',
-            icon: '🙋‍♂️',
-            condition: requestsMade >= 1,
-            progress: Math.min(requestsMade, 1),
-            target: 1,
-            earned: requestsMade >= 1,
-            earnedAt: requestsMade >= 1 ? new Date().toISOString() : null
-          }
-        ];
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const page = parsePageParams(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    const thread = await db.resolveMessageThread(requestId, userId, req.query.helperId);
+    const rows = await db.getMessages(requestId, thread.helperId, page);
+    const { items, nextCursor } = buildPage(rows, page.limit);
+
+    res.json({
+      helperId: thread.helperId,
+      next_cursor: nextCursor,
+      messages: items.map(m => ({
+        id: m.id.toString(),
+        senderId: m.sender_id,
+        senderName: m.sender_name,
+        body: m.body,
+        isFromCurrentUser: m.sender_id === userId,
+        createdAt: m.created_at,
+        readAt: m.read_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Get messages error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Only the request author')) {
+      res.status(403).json({ error: error.message });
+    } else if (error.message.includes('is required')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to get messages' });
+    }
+  }
+});
+
+// POST /api/requests/:id/messages - Send a message in a thread
+app.post('/api/requests/:id/messages', authenticateToken, async (req, res) => {
+  try {
+    const requestId = req.params.id;
+    const userId = req.user.id;
+    const { body, helperId } = req.body;
+
+    if (!body || typeof body !== 'string' || !body.trim()) {
+      return res.status(400).json({ error: 'Message body is required' });
+    }
+
+    if (body.length > MAX_MESSAGE_LENGTH) {
+      return res.status(400).json({ error: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` });
+    }
+
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
 
-        achievements = achievementCriteria;
+    const thread = await db.resolveMessageThread(requestId, userId, helperId);
+    const message = await db.sendMessage(requestId, thread, userId, body.trim());
 
-      } catch (error) {
-        // use empty achievements
+    res.status(201).json({
+      success: true,
+      message: {
+        id: message.id.toString(),
+        senderId: message.sender_id,
+        senderName: req.user.name,
+        body: message.body,
+        isFromCurrentUser: true,
+        createdAt: message.created_at,
+        readAt: null
       }
+    });
+
+  } catch (error) {
+    console.error('❌ Send message error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Only the request author')) {
+      res.status(403).json({ error: error.message });
+    } else if (error.message.includes('is required')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to send message' });
     }
-    res.json(achievements);
+  }
+});
+
+// POST /api/requests/:id/messages/read - Mark a thread's incoming messages as read
+app.post('/api/requests/:id/messages/read', authenticateToken, async (req, res) => {
+  try {
+    const requestId = req.params.id;
+    const userId = req.user.id;
+
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const thread = await db.resolveMessageThread(requestId, userId, req.body.helperId);
+    const markedRead = await db.markMessagesRead(requestId, thread.helperId, userId);
+
+    res.json({
+      success: true,
+      markedRead
+    });
+
   } catch (error) {
-    console.error('  Achievements error:', error);
-    res.status(500).json({ error: 'Failed to get achievements' });
+    console.error('❌ Mark messages read error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Only the request author')) {
+      res.status(403).json({ error: error.message });
+    } else if (error.message.includes('is required')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to mark messages read' });
+    }
   }
 });
 
-// Get user activity timeline
-app.get('/api/user/activity-timeline', authenticateToken, async (req, res) => {
+// Reviews are a rating plus a short optional comment
+const MAX_REVIEW_LENGTH = 500;
+
+// POST /api/requests/:id/reviews - Rate the other side of a completed request
+// ({ rating, comment, revieweeId }; the author names the helper when there were several)
+app.post('/api/requests/:id/reviews', authenticateToken, async (req, res) => {
   try {
+    const requestId = req.params.id;
     const userId = req.user.id;
-    const limit = parseInt(req.query.limit) || 20;
-    let timeline = [];
+    const { rating } = req.body;
+    const comment = typeof req.body.comment === 'string' ? req.body.comment.trim() : '';
 
-    if (databaseConnected) {
-      try {
-        const result = await db.pool.query(`
-          SELECT 
-            'help_offered' as activity_type,
-            ho.created_at as timestamp,
-            hr.title as request_title,
-            hr.urgency_level,
-            hr.author_name,
-            ho.request_id::text,
-            NULL as status_change
-          FROM help_offers ho
-          JOIN help_requests hr ON ho.request_id = hr.id
-          WHERE ho.helper_id = $1
-          
-          UNION ALL
-          
-          SELECT 
-            'request_created' as activity_type,
-            hr.created_at as timestamp,
-            hr.title as request_title,
-            hr.urgency_level,
-            NULL as author_name,
-            hr.id::text as request_id,
-            hr.status as status_change
-          FROM help_requests hr
-          WHERE hr.author_id = $1
-          
-          ORDER BY timestamp DESC
-          LIMIT $2
-        `, [userId, limit]);
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ error: 'Rating must be a whole number from 1 to 5' });
+    }
 
-        timeline = result.rows.map(row => ({
-          activityType: row.activity_type,
-          timestamp: row.timestamp.toISOString(),
-          requestTitle: row.request_title,
-          urgencyLevel: row.urgency_level,
-          authorName: row.author_name,
-          requestId: parseInt(row.request_id),
-          statusChange: row.status_change
-        }));
+    if (comment.length > MAX_REVIEW_LENGTH) {
+      return res.status(400).json({ error: `Review must be at most ${MAX_REVIEW_LENGTH} characters` });
+    }
 
-      } catch (dbError) {
-        console.log('  Timeline query failed:', dbError.message);
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    if (comment) {
+      const safetyResult = await aiService.performSafetyCheck('Review', comment, { userId: req.user.id });
+      if (!safetyResult.isSafe) {
+        return res.status(400).json({
+          error: 'Review flagged',
+          flagged: true,
+          category: safetyResult.flaggedCategory,
+          reason: safetyResult.reason,
+          severity: safetyResult.severity
+        });
       }
     }
 
-    res.json(timeline);
+    const review = await db.createReview(requestId, userId, rating, comment || null, req.body.revieweeId || null);
+    res.status(201).json({
+      success: true,
+      review: {
+        id: review.id.toString(),
+        requestId: review.request_id.toString(),
+        revieweeId: review.reviewee_id,
+        rating: review.rating,
+        comment: review.comment,
+        createdAt: review.created_at
+      }
+    });
+
   } catch (error) {
-    console.error('  Activity timeline error:', error);
-    res.status(500).json({ error: 'Failed to get activity timeline' });
+    console.error('❌ Create review error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Only the request author')) {
+      res.status(403).json({ error: error.message });
+    } else if (error.message.includes('Only completed') || error.message.includes('already reviewed') ||
+               error.message.includes('revieweeId') || error.message.includes('Reviewee')) {
+      res.status(400).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to save review' });
+    }
   }
 });
 
-app.get('/api/user/history', authenticateToken, async (req, res) => {
+// GET /api/users/:id/ratings - Aggregated ratings for a user
+app.get('/api/users/:id/ratings', authenticateToken, async (req, res) => {
   try {
-    const userId = req.user.id;
-    
-    if (databaseConnected) {
-      try {
-        // Get requests user created
-        const createdRequestsResult = await db.pool.query(`
-          SELECT r.*, 
-                 COALESCE(h.helpers_count, 0) as helpers_count,
-                 COALESCE(h.completed_helpers, 0) as completed_helpers
-          FROM help_requests r
-          LEFT JOIN (
-            SELECT request_id, 
-                   COUNT(*) as helpers_count,
-                   COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_helpers
-            FROM help_offers
-            GROUP BY request_id
-          ) h ON r.id = h.request_id
-          WHERE r.author_id = $1
-          ORDER BY r.created_at DESC
-        `, [userId]);
-        
-        // Get requests user helped with
-        const helpedRequestsResult = await db.pool.query(`
-          SELECT r.*, ho.status as help_status, ho.created_at as help_offered_at, 
-                 ho.completed_at, COALESCE(h.helpers_count, 0) as helpers_count
-          FROM help_requests r
-          JOIN help_offers ho ON r.id = ho.request_id
-          LEFT JOIN (
-            SELECT request_id, COUNT(*) as helpers_count
-            FROM help_offers
-            GROUP BY request_id
-          ) h ON r.id = h.request_id
-          WHERE ho.helper_id = $1
-          ORDER BY ho.created_at DESC
-        `, [userId]);
+    const userId = req.params.id;
+
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const summaries = await db.getRatingSummaries([userId]);
+    const { distribution, recent } = await db.getUserRatings(userId);
+
+    const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    distribution.forEach(row => {
+      ratingDistribution[row.rating] = parseInt(row.count);
+    });
+
+    res.json({
+      userId,
+      averageRating: summaries[userId]?.averageRating ?? null,
+      ratingCount: summaries[userId]?.ratingCount || 0,
+      distribution: ratingDistribution,
+      recentReviews: recent.map(r => ({
+        rating: r.rating,
+        comment: r.comment,
+        reviewerName: r.reviewer_name,
+        requestId: r.request_id.toString(),
+        requestTitle: r.request_title,
+        createdAt: r.created_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Get ratings error:', error);
+    res.status(500).json({ error: 'Failed to get ratings' });
+  }
+});
+
+// for requester confirmation workflow
+app.post('/api/requests/:id/confirm-completion', authenticateToken, async (req, res) => {
+  try {
+    const requestId = req.params.id;
+    const requesterId = req.user.id;
+    const { confirmed, stillNeedHelp } = req.body;
+
+    if (databaseConnected) {
+      try {
+        // Check if user is the requester
+        const current = await db.getRequest(requestId);
+        if (!current || current.author_id !== requesterId) {
+          return res.status(404).json({ error: 'Request not found or unauthorized' });
+        }
         
-        res.json({
-          success: true,
-          created_requests: createdRequestsResult.rows.map(row => ({
-            id: row.id.toString(),
-            title: row.title,
-            description: row.description,
-            status: row.status,
-            urgencyLevel: row.urgency_level,
-            createdAt: row.created_at,
-            updatedAt: row.updated_at,
-            helpersCount: parseInt(row.helpers_count) || 0,
-            completedHelpers: parseInt(row.completed_helpers) || 0,
-            latitude: parseFloat(row.latitude),
-            longitude: parseFloat(row.longitude)
-          })),
-          helped_requests: helpedRequestsResult.rows.map(row => ({
-            id: row.id.toString(),
-            title: row.title,
-            description: row.description,
-            requestStatus: row.status,
-            helpStatus: row.help_status,
-            urgencyLevel: row.urgency_level,
-            helpOfferedAt: row.help_offered_at,
-            helpCompletedAt: row.completed_at,
-            authorName: row.author_name,
-            helpersCount: parseInt(row.helpers_count) || 0,
-            latitude: parseFloat(row.latitude),
-            longitude: parseFloat(row.longitude)
-          }))
-        });
+        if (confirmed && !stillNeedHelp) {
+          const completed = await db.updateRequestStatus(requestId, STATUSES.COMPLETED, requesterId);
+          db.getCompletedHelperIds(completed.id)
+            .then(helperIds => checkAchievements(requesterId, ...helperIds))
+            .catch(error => {
+              console.error('Achievement evaluation error:', error.message);
+            });
+          res.json({
+            success: true,
+            message: 'Request marked as completed',
+            status: STATUSES.COMPLETED
+          });
+          
+        } else if (stillNeedHelp) {
+          // Back to its helpers ("In Progress"), or Open if it never had any
+          const status = current.accepted_helper_id ? STATUSES.IN_PROGRESS : STATUSES.OPEN;
+          await db.updateRequestStatus(requestId, status, requesterId);
+          res.json({
+            success: true,
+            message: status === STATUSES.IN_PROGRESS ? 'Request reset to in-progress' : 'Request reopened',
+            status
+          });
+        } else {
+          return res.status(400).json({ error: 'Invalid completion parameters' });
+        }
         
       } catch (dbError) {
+        if (dbError.message.startsWith('Cannot')) {
+          return res.status(409).json({ error: dbError.message });
+        }
         return res.status(500).json({ error: 'Database error' });
       }
     } else {
-      // Fallback logic
-      const createdRequests = fallbackRequests.filter(r => r.authorId === userId);
-      const helpedRequests = fallbackRequests.filter(r => 
-        r.helpers && r.helpers.includes(userId) ||
-        r.completedHelpers && r.completedHelpers.includes(userId)
-      );
+      // Fallback logic for in-memory storage
+      const requestIndex = fallbackRequests.findIndex(r => r.id === requestId && r.authorId === requesterId);
+      if (requestIndex === -1) {
+        return res.status(404).json({ error: 'Request not found or unauthorized' });
+      }
+      
+      if (confirmed && !stillNeedHelp) {
+        fallbackRequests[requestIndex].status = STATUSES.COMPLETED;
+      } else if (stillNeedHelp) {
+        fallbackRequests[requestIndex].status = STATUSES.IN_PROGRESS;
+      }
+      
+      fallbackRequests[requestIndex].updatedAt = new Date();
       
       res.json({
         success: true,
-        created_requests: createdRequests,
-        helped_requests: helpedRequests.map(r => ({
-          ...r,
-          helpStatus: r.completedHelpers && r.completedHelpers.includes(userId) ? 'completed' : 'active'
-        }))
+        message: 'Request status updated',
+        status: fallbackRequests[requestIndex].status
+      });
+    }
+
+  } catch (error) {
+    console.error('  Confirm completion error:', error);
+    res.status(500).json({ error: 'Failed to confirm completion' });
+  }
+});
+
+//  Update request status
+app.put('/api/requests/:id/status', authenticateToken, async (req, res) => {
+  try {
+    const requestId = req.params.id;
+    const status = lifecycle.normalizeStatus(req.body.status);
+    const userId = req.user.id;
+
+    if (!status) {
+      return res.status(400).json({
+        error: `Invalid status; expected one of ${Object.values(STATUSES).join(', ')}`
+      });
+    }
+
+    if (databaseConnected) {
+      try {
+        const result = await db.updateRequestStatus(requestId, status, userId);
+        res.json({ 
+          success: true, 
+          message: 'Status updated successfully',
+          request: result,
+          database_used: true
+        });
+      } catch (dbError) {
+        if (dbError.message.includes('not found')) {
+          return res.status(404).json({ error: dbError.message });
+        }
+        if (dbError.message.startsWith('Only')) {
+          return res.status(403).json({ error: dbError.message });
+        }
+        if (dbError.message.startsWith('Cannot')) {
+          return res.status(409).json({ error: dbError.message });
+        }
+        throw dbError;
+      }
+      return;
+    }
+
+    const requestIndex = fallbackRequests.findIndex(r => r.id === requestId && r.authorId === userId);
+    if (requestIndex === -1) {
+      return res.status(404).json({ error: 'Request not found or unauthorized' });
+    }
+
+    const { allowed, reason } = lifecycle.checkTransition(
+      fallbackRequests[requestIndex].status, status, lifecycle.ACTORS.AUTHOR
+    );
+    if (!allowed && fallbackRequests[requestIndex].status !== status) {
+      return res.status(409).json({ error: reason });
+    }
+    if (fallbackRequests[requestIndex].status === STATUSES.EXPIRED && status !== STATUSES.EXPIRED) {
+      return res.status(409).json({
+        error: `Cannot reopen an ${STATUSES.EXPIRED} request by status; renew it instead`
+      });
+    }
+
+    fallbackRequests[requestIndex].status = status;
+    fallbackRequests[requestIndex].updatedAt = new Date();
+    res.json({ 
+      success: true, 
+      message: 'Status updated successfully',
+      request: fallbackRequests[requestIndex],
+      database_used: false
+    });
+
+  } catch (error) {
+    console.error('Update status error:', error);
+    res.status(500).json({ error: 'Failed to update status' });
+  }
+});
+
+app.get('/api/debug/my-stats', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const userId = req.user.id;
+
+    if (!databaseConnected) {
+      return res.json({ error: 'Database not connected' });
+    }
+    
+    // Check all authors in database
+    const allAuthors = await db.pool.query(`
+      SELECT DISTINCT author_id, author_name, COUNT(*) as count
+      FROM help_requests
+      GROUP BY author_id, author_name
+      ORDER BY count DESC
+    `);
+    
+    // Check YOUR requests
+    const myRequests = await db.pool.query(`
+      SELECT id, title, author_id, author_name, created_at
+      FROM help_requests
+      WHERE author_id = $1
+      ORDER BY created_at DESC
+    `, [userId]);
+    
+    // Check if user exists in users table
+    const userExists = await db.pool.query(`
+      SELECT * FROM users WHERE id = $1
+    `, [userId]);
+    
+    // Try alternative queries
+    const castQuery = await db.pool.query(`
+      SELECT COUNT(*) as count
+      FROM help_requests
+      WHERE CAST(author_id AS TEXT) = CAST($1 AS TEXT)
+    `, [userId]);
+    
+    res.json({
+      debugInfo: {
+        yourUserId: userId,
+        yourUserIdType: typeof userId,
+        yourEmail: req.user.email,
+        userExistsInDB: userExists.rows.length > 0,
+        userRecord: userExists.rows[0] || null
+      },
+      allAuthorsInDatabase: allAuthors.rows,
+      yourRequestsFound: myRequests.rows.length,
+      yourRequests: myRequests.rows,
+      castQueryResult: castQuery.rows[0].count,
+      diagnosis: {
+        requestsInDB: myRequests.rows.length > 0,
+        userIdMatches: myRequests.rows.length > 0 ? myRequests.rows[0].author_id === userId : false,
+        possibleIssue: myRequests.rows.length === 0 ? 'User ID not matching' : 'Query issue'
+      }
+    });
+    
+  } catch (error) {
+    console.error('🔍 Debug error:', error);
+    res.status(500).json({ 
+      error: error.message,
+      stack: error.stack 
+    });
+  }
+});
+
+// User statistics
+app.get('/api/user/stats', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    let stats = {
+      requestsMade: 0,
+      peopleHelped: 0,
+      communityPoints: 0,
+      thisWeek: 0,
+      currentStreak: 0,
+      totalConnectionsMade: 0,
+      avgResponseTime: 0,
+      completionRate: 0,
+      joinDate: new Date(),
+      lastActivity: null,
+      topCategories: [],
+      weeklyActivity: []
+    };
+
+    if (databaseConnected) {
+      try {
+        const client = await db.pool.connect();
+        
+        try {
+          // 1. Get user's requests made
+          const requestsResult = await client.query(
+            'SELECT COUNT(*) as count, MIN(created_at) as first_request FROM help_requests WHERE author_id = $1',
+            [userId]
+          );
+          stats.requestsMade = parseInt(requestsResult.rows[0].count) || 0;
+
+          // 2. Get help offers made by user (people helped)
+          const helpResult = await client.query(`
+            SELECT COUNT(DISTINCT ho.request_id) as unique_requests_helped,
+                   COUNT(*) as total_help_offers,
+                   MAX(ho.created_at) as last_help_offered
+            FROM help_offers ho 
+            WHERE ho.helper_id = $1
+          `, [userId]);
+          
+          const helpStats = helpResult.rows[0];
+          stats.peopleHelped = parseInt(helpStats.unique_requests_helped) || 0;
+          if (helpStats.last_help_offered) {
+            stats.lastActivity = new Date(helpStats.last_help_offered).toISOString();
+          }
+
+          // 3. Get recent activity (this week)
+          const weekAgoResult = await client.query(`
+            SELECT COUNT(DISTINCT ho.request_id) as requests_helped_this_week
+            FROM help_offers ho 
+            WHERE ho.helper_id = $1 AND ho.created_at > NOW() - INTERVAL '7 days'
+          `, [userId]);
+          
+          stats.thisWeek = parseInt(weekAgoResult.rows[0].requests_helped_this_week) || 0;
+
+          // 4. Calculate community points
+          stats.communityPoints = stats.peopleHelped * 10 + stats.requestsMade * 2;
+
+          // 5. Get user join date
+          const userResult = await client.query(
+            'SELECT created_at FROM users WHERE id = $1',
+            [userId]
+          );
+          
+          if (userResult.rows.length > 0) {
+            stats.joinDate = userResult.rows[0].created_at.toISOString();
+          } else {
+            stats.joinDate = new Date().toISOString();
+          }
+        } finally {
+          client.release();
+        }
+        
+      } catch (dbError) {
+        console.error(' Database stats error:', dbError.message);
+        console.error(' Error details:', dbError);
+      }
+    }
+
+    res.json(stats);
+  } catch (error) {
+    console.error(' Stats endpoint error:', error);
+    res.status(500).json({ error: 'Failed to get user stats' });
+  }
+});
+
+
+// Get user achievements: every badge with progress, and when each unlocked
+// one was first earned
+app.get('/api/user/achievements', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    let achievements = [];
+
+    if (databaseConnected) {
+      try {
+        achievements = await achievementService.getAchievements(userId);
+      } catch (dbError) {
+        console.log('  Achievements query failed:', dbError.message);
+      }
+    }
+    res.json(achievements);
+  } catch (error) {
+    console.error('  Achievements error:', error);
+    res.status(500).json({ error: 'Failed to get achievements' });
+  }
+});
+
+// Get user activity timeline, read from the request event log
+// Paginated newest-first with limit/cursor (next page token in X-Next-Cursor)
+app.get('/api/user/activity-timeline', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const page = parsePageParams(req.query, { defaultLimit: 20 });
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+    let timeline = [];
+
+    if (databaseConnected) {
+      try {
+        const rows = await db.getActivityTimeline(userId, page);
+        const { items, nextCursor } = buildPage(rows, page.limit);
+        if (nextCursor) {
+          res.set('X-Next-Cursor', nextCursor);
+        }
+
+        timeline = items.map(row => ({
+          activityType: row.event_type,
+          timestamp: row.created_at.toISOString(),
+          requestTitle: row.request_title,
+          urgencyLevel: row.urgency_level,
+          authorName: row.author_name,
+          requestId: row.request_id,
+          statusChange: row.to_status,
+          actorName: row.actor_name,
+          helperName: row.helper_name
+        }));
+
+      } catch (dbError) {
+        console.log('  Timeline query failed:', dbError.message);
+      }
+    }
+
+    res.json(timeline);
+  } catch (error) {
+    console.error('  Activity timeline error:', error);
+    res.status(500).json({ error: 'Failed to get activity timeline' });
+  }
+});
+
+// Each list pages independently: createdCursor/helpedCursor in,
+// created_next_cursor/helped_next_cursor out, sharing one limit
+app.get('/api/user/history', authenticateToken, async (req, res) => {
+  try {
+    const userId = req.user.id;
+    const createdPage = parsePageParams(req.query, { cursorParam: 'createdCursor' });
+    const helpedPage = parsePageParams(req.query, { cursorParam: 'helpedCursor' });
+    if (createdPage.error || helpedPage.error) {
+      return res.status(400).json({ error: createdPage.error || helpedPage.error });
+    }
+    
+    if (databaseConnected) {
+      try {
+        // Get requests user created
+        const createdParams = [userId, createdPage.limit + 1];
+        let createdCursorCondition = '';
+        if (createdPage.cursor) {
+          createdParams.push(createdPage.cursor.createdAt, createdPage.cursor.id);
+          createdCursorCondition = 'AND (r.created_at, r.id) < ($3::timestamp, $4::int)';
+        }
+
+        const createdRequestsResult = await db.pool.query(`
+          SELECT r.*, r.created_at::text AS cursor_created_at,
+                 COALESCE(h.helpers_count, 0) as helpers_count,
+                 COALESCE(h.completed_helpers, 0) as completed_helpers
+          FROM help_requests r
+          LEFT JOIN (
+            SELECT request_id, 
+                   COUNT(*) as helpers_count,
+                   COUNT(CASE WHEN status = 'completed' THEN 1 END) as completed_helpers
+            FROM help_offers
+            GROUP BY request_id
+          ) h ON r.id = h.request_id
+          WHERE r.author_id = $1
+            ${createdCursorCondition}
+          ORDER BY r.created_at DESC, r.id DESC
+          LIMIT $2
+        `, createdParams);
+        
+        // Get requests user helped with, keyed on the help offer
+        const helpedParams = [userId, helpedPage.limit + 1];
+        let helpedCursorCondition = '';
+        if (helpedPage.cursor) {
+          helpedParams.push(helpedPage.cursor.createdAt, helpedPage.cursor.id);
+          helpedCursorCondition = 'AND (ho.created_at, ho.id) < ($3::timestamp, $4::int)';
+        }
+
+        const helpedRequestsResult = await db.pool.query(`
+          SELECT r.*, ho.status as help_status, ho.created_at as help_offered_at, 
+                 ho.id as help_offer_id, ho.created_at::text AS cursor_created_at,
+                 ho.completed_at, COALESCE(h.helpers_count, 0) as helpers_count
+          FROM help_requests r
+          JOIN help_offers ho ON r.id = ho.request_id
+          LEFT JOIN (
+            SELECT request_id, COUNT(*) as helpers_count
+            FROM help_offers
+            GROUP BY request_id
+          ) h ON r.id = h.request_id
+          WHERE ho.helper_id = $1
+            ${helpedCursorCondition}
+          ORDER BY ho.created_at DESC, ho.id DESC
+          LIMIT $2
+        `, helpedParams);
+        
+        const created = buildPage(createdRequestsResult.rows, createdPage.limit);
+        const helped = buildPage(helpedRequestsResult.rows, helpedPage.limit, 'help_offer_id');
+        
+        res.json({
+          success: true,
+          created_next_cursor: created.nextCursor,
+          helped_next_cursor: helped.nextCursor,
+          created_requests: created.items.map(row => ({
+            id: row.id.toString(),
+            title: row.title,
+            description: row.description,
+            status: row.status,
+            urgencyLevel: row.urgency_level,
+            createdAt: row.created_at,
+            updatedAt: row.updated_at,
+            helpersCount: parseInt(row.helpers_count) || 0,
+            completedHelpers: parseInt(row.completed_helpers) || 0,
+            latitude: parseFloat(row.latitude),
+            longitude: parseFloat(row.longitude)
+          })),
+          helped_requests: helped.items.map(row => ({
+            id: row.id.toString(),
+            title: row.title,
+            description: row.description,
+            requestStatus: row.status,
+            helpStatus: row.help_status,
+            urgencyLevel: row.urgency_level,
+            helpOfferedAt: row.help_offered_at,
+            helpCompletedAt: row.completed_at,
+            authorName: row.author_name,
+            helpersCount: parseInt(row.helpers_count) || 0,
+            latitude: parseFloat(row.latitude),
+            longitude: parseFloat(row.longitude)
+          }))
+        });
+        
+      } catch (dbError) {
+        return res.status(500).json({ error: 'Database error' });
+      }
+    } else {
+      // Fallback logic
+      const createdRequests = fallbackRequests.filter(r => r.authorId === userId);
+      const helpedRequests = fallbackRequests.filter(r => 
+        r.helpers && r.helpers.includes(userId) ||
+        r.completedHelpers && r.completedHelpers.includes(userId)
+      );
+      
+      res.json({
+        success: true,
+        created_requests: createdRequests,
+        helped_requests: helpedRequests.map(r => ({
+          ...r,
+          helpStatus: r.completedHelpers && r.completedHelpers.includes(userId) ? 'completed' : 'active'
+        }))
+      });
+    }
+
+  } catch (error) {
+    console.error('History fetch error:', error);
+    res.status(500).json({ error: 'Failed to fetch history' });
+  }
+});
+
+// Test endpoint for debugging
+app.post('/api/test', authenticateToken, requireRole('admin'), (req, res) => {
+  // Never echo credentials back
+  const { authorization, cookie, ...headers } = req.headers;
+  res.json({
+    message: 'Test endpoint reached',
+    receivedBody: req.body,
+    bodyType: typeof req.body,
+    headers,
+    databaseStatus: databaseConnected ? 'connected' : 'disconnected',
+    environment: process.env.NODE_ENV || 'development',
+    timestamp: new Date().toISOString()
+  });
+});
+
+// Database diagnostics endpoint
+app.get('/api/debug/database', authenticateToken, requireRole('admin'), async (req, res) => {
+  const diagnostics = {
+    connected: databaseConnected,
+    environment: process.env.NODE_ENV,
+    database_url_configured: !!process.env.DATABASE_URL,
+    fallback_requests_count: fallbackRequests.length
+  };
+
+  if (databaseConnected) {
+    try {
+      const requests = await db.getActiveRequests();
+      const usersResult = await db.pool.query('SELECT COUNT(*) FROM users');
+      diagnostics.database_requests_count = requests.length;
+      diagnostics.database_users_count = parseInt(usersResult.rows[0].count);
+      diagnostics.database_test = 'success';
+    } catch (error) {
+      diagnostics.database_test = 'failed';
+      diagnostics.database_error = error.message;
+    }
+  }
+
+  res.json(diagnostics);
+});
+
+// Debug endpoint to check database state
+app.get('/api/debug/requests', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    if (!databaseConnected) {
+      return res.json({
+        error: 'Database not connected',
+        fallback_requests: fallbackRequests.length,
+        requests: fallbackRequests
+      });
+    }
+
+    // Check total requests
+    const totalResult = await db.pool.query('SELECT COUNT(*) FROM help_requests');
+    const totalCount = parseInt(totalResult.rows[0].count);
+
+    // Check recent requests
+    const recentResult = await db.pool.query(`
+      SELECT id, title, latitude, longitude, status, created_at, author_name
+      FROM help_requests 
+      ORDER BY created_at DESC 
+      LIMIT 10
+    `);
+
+    // Check active requests (same query as getActiveRequests)
+    const activeResult = await db.pool.query(`
+      SELECT r.*, 
+             COALESCE(h.helpers_count, 0) as helpers_count
+      FROM help_requests r
+      LEFT JOIN (
+        SELECT request_id, COUNT(*) as helpers_count
+        FROM help_offers
+        GROUP BY request_id
+      ) h ON r.id = h.request_id
+      WHERE r.expires_at > NOW()
+        AND r.status IN ('${STATUSES.OPEN}', '${STATUSES.IN_PROGRESS}')
+      ORDER BY r.created_at DESC
+    `);
+
+    // Check if coordinates are valid
+    const coordinateCheck = await db.pool.query(`
+      SELECT id, title, latitude, longitude,
+             CASE 
+               WHEN latitude IS NULL THEN 'NULL'
+               WHEN latitude::text = '' THEN 'EMPTY'
+               WHEN latitude = 0 THEN 'ZERO'
+               ELSE 'VALID'
+             END as lat_status,
+             CASE 
+               WHEN longitude IS NULL THEN 'NULL'
+               WHEN longitude::text = '' THEN 'EMPTY'
+               WHEN longitude = 0 THEN 'ZERO'
+               ELSE 'VALID'
+             END as lng_status
+      FROM help_requests 
+      ORDER BY created_at DESC 
+      LIMIT 5
+    `);
+
+    res.json({
+      database_connected: databaseConnected,
+      total_requests: totalCount,
+      active_requests_count: activeResult.rows.length,
+      recent_requests: recentResult.rows.map(row => ({
+        id: row.id,
+        title: row.title,
+        latitude: row.latitude,
+        longitude: row.longitude,
+        status: row.status,
+        created_at: row.created_at,
+        author_name: row.author_name
+      })),
+      active_requests: activeResult.rows.map(row => ({
+        id: row.id,
+        title: row.title,
+        latitude: parseFloat(row.latitude),
+        longitude: parseFloat(row.longitude),
+        status: row.status,
+        helpers_count: row.helpers_count
+      })),
+      coordinate_validation: coordinateCheck.rows,
+      query_timestamp: new Date().toISOString()
+    });
+
+  } catch (error) {
+    console.error('  Debug endpoint error:', error);
+    res.status(500).json({ 
+      error: 'Debug failed',
+      message: error.message,
+      stack: error.stack
+    });
+  }
+});
+
+// Simplified test endpoint to check basic functionality
+app.get('/api/test-fetch', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    if (databaseConnected) {
+      const result = await db.pool.query(`
+        SELECT id, title, latitude, longitude, status, created_at
+        FROM help_requests 
+        WHERE status != 'Cancelled'
+        ORDER BY created_at DESC
+        LIMIT 5
+      `);
+      const simpleMapped = result.rows.map(row => ({
+        id: row.id.toString(),
+        title: row.title,
+        latitude: parseFloat(row.latitude),
+        longitude: parseFloat(row.longitude),
+        status: row.status,
+        distance: '0.5mi',
+        duration: '5min',
+        description: 'Test request',
+        contact: 'test@berkeley.edu',
+        urgencyLevel: 'Medium',
+        createdAt: row.created_at,
+        authorName: 'Test User',
+        helpersCount: 0,
+        isCurrentUserHelping: false
+      }));
+      
+      res.json(simpleMapped);
+    } else {
+      res.json([]);
+    }
+    
+  } catch (error) {
+    console.error('  Test fetch error:', error);
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Duplicate check on /api/create: open requests this close to the draft,
+// scored by similarity (see similarity.js), block posting unless overridden
+const DUPLICATE_RADIUS_MILES = parseFloat(process.env.DUPLICATE_RADIUS_MILES) || 0.5;
+const DUPLICATE_SIMILARITY_THRESHOLD = parseFloat(process.env.DUPLICATE_SIMILARITY_THRESHOLD) || 0.45;
+const DUPLICATE_CANDIDATE_LIMIT = 100;
+
+// Open requests near the draft that look like the same thing
+async function findSimilarOpenRequests(draft) {
+  const candidates = await db.getActiveRequests({
+    lat: parseFloat(draft.latitude),
+    lon: parseFloat(draft.longitude),
+    radiusMiles: DUPLICATE_RADIUS_MILES,
+    limit: DUPLICATE_CANDIDATE_LIMIT
+  });
+
+  return findSimilar(draft, candidates, { threshold: DUPLICATE_SIMILARITY_THRESHOLD });
+}
+
+// Integrate AI
+// Set ignoreDuplicates: true to post even when similar requests exist
+app.post('/api/create', authenticateToken, rateLimit('create'), async (req, res) => {
+  try {
+    const {
+      title, description, latitude, longitude, contact, urgencyLevel,
+      ignoreDuplicates, durationHours, neededFrom, neededUntil
+    } = req.body;
+    
+    // Validation (contact is optional; helpers can use request messages instead)
+    if (!title || !description || !latitude || !longitude) {
+      return res.status(400).json({ 
+        error: 'Missing required fields',
+        details: 'Title, description, and location are required'
+      });
+    }
+
+    if (urgencyLevel !== undefined && !isValidUrgencyLevel(urgencyLevel)) {
+      return res.status(400).json({ error: `urgencyLevel must be one of ${URGENCY_LEVELS.join(', ')}` });
+    }
+
+    const schedule = resolveSchedule({ durationHours, neededFrom, neededUntil });
+    if (schedule.error) {
+      return res.status(400).json({ error: schedule.error });
+    }
+
+    const { helpersNeeded, error: helpersError } = parseHelpersNeeded(req.body.helpersNeeded);
+    if (helpersError) {
+      return res.status(400).json({ error: helpersError });
+    }
+
+    const buildRequestData = (aiAnalysis) => ({
+      title,
+      description,
+      latitude,
+      longitude,
+      contact: contact || '',
+      urgencyLevel,
+      authorId: req.user.id,
+      authorName: req.user.name,
+      expiresAt: schedule.expiresAt,
+      neededFrom: schedule.neededFrom,
+      neededUntil: schedule.neededUntil,
+      helpersNeeded,
+      // AI fields
+      aiCategory: aiAnalysis.category,
+      aiCategoryIcon: aiAnalysis.categoryIcon,
+      aiCategoryName: aiAnalysis.categoryName,
+      aiDetectedUrgency: aiAnalysis.detectedUrgency,
+      aiEstimatedTime: aiAnalysis.estimatedTime,
+      aiTags: aiAnalysis.tags,
+      aiSuggestedTitle: aiAnalysis.suggestedTitle,
+      aiSafetyCheck: 'safe', 
+      aiSafetyReason: null
+    });
+
+    // SAFETY CHECK FIRST
+    const safetyResult = await aiService.performSafetyCheck(title, description, { userId: req.user.id });
+    if (!safetyResult.isSafe) {
+      // Hold the submission for moderators instead of discarding it.
+      // Keyword categorization only; no point paying for AI on held content.
+      let moderationId = null;
+      if (databaseConnected) {
+        try {
+          const heldRequest = await db.createRequest(
+            buildRequestData(aiService.fallbackCategorization(title, description, urgencyLevel)),
+            safetyResult
+          );
+          moderationId = heldRequest.moderation_id;
+        } catch (holdError) {
+          console.error('Failed to queue flagged request for moderation:', holdError.message);
+        }
+      }
+
+      return res.status(400).json({
+        error: 'Request flagged',
+        flagged: true,
+        category: safetyResult.flaggedCategory,
+        reason: safetyResult.reason,
+        severity: safetyResult.severity,
+        underReview: moderationId !== null
+      });
+    }
+
+    // Check for duplicates before paying for categorization
+    if (databaseConnected && ignoreDuplicates !== true) {
+      let similar = [];
+      try {
+        similar = await findSimilarOpenRequests({ title, description, latitude, longitude });
+      } catch (similarityError) {
+        // Never block posting because the check itself failed
+        console.error('Duplicate check error:', similarityError.message);
+      }
+
+      if (similar.length > 0) {
+        return res.status(409).json({
+          error: 'Similar requests already exist',
+          duplicates: true,
+          message: 'Similar requests are already open nearby. Offer to help with one of them, or post anyway with ignoreDuplicates: true.',
+          similarRequests: similar.map(({ request, score }) => ({
+            id: request.id.toString(),
+            title: request.title,
+            description: request.description,
+            authorName: request.author_name,
+            isOwnRequest: request.author_id === req.user.id,
+            status: request.status,
+            createdAt: request.created_at,
+            distanceMiles: request.distance_miles === null ? null : parseFloat(request.distance_miles),
+            similarity: Math.round(score * 100) / 100,
+            link: `/api/requests/${request.id}`
+          }))
+        });
+      }
+    }
+
+    const aiAnalysis = await aiService.categorizeRequest(title, description, urgencyLevel, { userId: req.user.id });
+
+    // Create request in database
+    const newRequest = await db.createRequest(buildRequestData(aiAnalysis));
+
+    // Keep the full analysis, including which fields fell back to keywords
+    db.saveAIInsight(newRequest.id, 'categorization', aiAnalysis);
+
+    // Fan out to nearby helpers in the background so posting stays fast
+    notificationService.notifyNearbyHelpers(newRequest).catch(notifyError => {
+      console.error('Nearby notification error:', notifyError.message);
+    });
+    checkAchievements(req.user.id);
+
+    res.status(201).json({
+      message: 'Request created successfully',
+      request: newRequest
+    });
+
+  } catch (error) {
+    console.error('Create request error:', error);
+    res.status(500).json({ 
+      error: 'Failed to create request',
+      message: error.message 
+    });
+  }
+});
+
+// API shape of a request_series row
+function formatSeries(series) {
+  return {
+    id: series.id.toString(),
+    title: series.title,
+    description: series.description,
+    latitude: parseFloat(series.latitude),
+    longitude: parseFloat(series.longitude),
+    contact: series.contact,
+    urgencyLevel: series.urgency_level,
+    helpersNeeded: series.helpers_needed,
+    category: series.ai_category,
+    categoryName: series.ai_category_name,
+    categoryIcon: series.ai_category_icon,
+    recurrence: {
+      frequency: series.frequency,
+      daysOfWeek: series.days_of_week,
+      startsAt: series.starts_at,
+      durationHours: series.duration_minutes / 60,
+      until: series.until_at,
+      count: series.max_occurrences,
+      timeZone: series.time_zone
+    },
+    status: series.status,
+    nextOccurrenceAt: series.next_occurrence_at,
+    standingHelper: series.standing_helper_id ?
+      { id: series.standing_helper_id, name: series.standing_helper_name } :
+      null,
+    createdAt: series.created_at,
+    updatedAt: series.updated_at
+  };
+}
+
+// Maps a series operation's error to a response
+function sendSeriesError(res, error, fallbackMessage) {
+  if (error.message.includes('not found')) {
+    res.status(404).json({ error: error.message });
+  } else if (error.message.startsWith('Only ')) {
+    res.status(403).json({ error: error.message });
+  } else if (error.message.startsWith('Cannot ')) {
+    res.status(409).json({ error: error.message });
+  } else {
+    res.status(500).json({ error: fallbackMessage });
+  }
+}
+
+// POST /api/series - Post a recurring request. Takes /api/create's fields
+// (not the durationHours/needed window) plus recurrence: { frequency:
+// 'daily'|'weekly', daysOfWeek (weekly, Sunday = 0), startsAt, durationHours,
+// until or count, timeZone }. Each occurrence is posted as its own request
+// SERIES_LOOKAHEAD_HOURS before it starts.
+app.post('/api/series', authenticateToken, rateLimit('create'), async (req, res) => {
+  try {
+    const { title, description, latitude, longitude, contact, urgencyLevel, recurrence } = req.body;
+
+    if (!title || !description || !latitude || !longitude) {
+      return res.status(400).json({
+        error: 'Missing required fields',
+        details: 'Title, description, and location are required'
+      });
+    }
+
+    const lat = parseFloat(latitude);
+    const lon = parseFloat(longitude);
+    if (isNaN(lat) || isNaN(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) {
+      return res.status(400).json({ error: 'Invalid latitude or longitude' });
+    }
+
+    if (urgencyLevel !== undefined && !isValidUrgencyLevel(urgencyLevel)) {
+      return res.status(400).json({ error: `urgencyLevel must be one of ${URGENCY_LEVELS.join(', ')}` });
+    }
+
+    const { rule, error } = parseRecurrence(recurrence);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const { helpersNeeded, error: helpersError } = parseHelpersNeeded(req.body.helpersNeeded);
+    if (helpersError) {
+      return res.status(400).json({ error: helpersError });
+    }
+
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    // Checked once here; occurrences are copies of the series content
+    const safetyResult = await aiService.performSafetyCheck(title, description, { userId: req.user.id });
+    if (!safetyResult.isSafe) {
+      return res.status(400).json({
+        error: 'Request flagged',
+        flagged: true,
+        category: safetyResult.flaggedCategory,
+        reason: safetyResult.reason,
+        severity: safetyResult.severity,
+        underReview: false
       });
     }
 
+    const aiAnalysis = await aiService.categorizeRequest(title, description, urgencyLevel, { userId: req.user.id });
+
+    const series = await db.createSeries({
+      title,
+      description,
+      latitude: lat,
+      longitude: lon,
+      contact: contact || '',
+      urgencyLevel,
+      authorId: req.user.id,
+      authorName: req.user.name,
+      helpersNeeded,
+      aiCategory: aiAnalysis.category,
+      aiCategoryIcon: aiAnalysis.categoryIcon,
+      aiCategoryName: aiAnalysis.categoryName,
+      aiDetectedUrgency: aiAnalysis.detectedUrgency,
+      aiEstimatedTime: aiAnalysis.estimatedTime,
+      aiTags: aiAnalysis.tags,
+      aiSuggestedTitle: aiAnalysis.suggestedTitle
+    }, rule);
+
+    // Post the first occurrence now if it's already within the lookahead
+    postDueSeriesOccurrences();
+
+    res.status(201).json({
+      message: 'Series created successfully',
+      series: formatSeries(series)
+    });
+
   } catch (error) {
-    console.error('History fetch error:', error);
-    res.status(500).json({ error: 'Failed to fetch history' });
+    console.error('❌ Create series error:', error);
+    res.status(500).json({ error: 'Failed to create series' });
   }
 });
 
-// Test endpoint for debugging
-app.post('/api/test', (req, res) => {
-  res.json({
-    message: 'Test endpoint reached',
-    receivedBody: req.body,
-    bodyType: typeof req.body,
-    headers: req.headers,
-    databaseStatus: databaseConnected ? 'connected' : 'disconnected',
-    environment: process.env.NODE_ENV || 'development',
-    timestamp: new Date().toISOString()
-  });
+// GET /api/series - The user's own series, newest first
+app.get('/api/series', authenticateToken, async (req, res) => {
+  try {
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const series = await db.getSeriesForAuthor(req.user.id);
+    res.json({ series: series.map(formatSeries) });
+
+  } catch (error) {
+    console.error('❌ Get series list error:', error);
+    res.status(500).json({ error: 'Failed to get series' });
+  }
 });
 
-// Database diagnostics endpoint
-app.get('/api/debug/database', authenticateToken, async (req, res) => {
-  const diagnostics = {
-    connected: databaseConnected,
-    environment: process.env.NODE_ENV,
-    database_url_configured: !!process.env.DATABASE_URL,
-    fallback_requests_count: fallbackRequests.length
-  };
+// GET /api/series/:id - A series and its posted occurrences, for its author,
+// its standing helper or a moderator
+app.get('/api/series/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
 
-  if (databaseConnected) {
-    try {
-      const requests = await db.getActiveRequests();
-      const usersResult = await db.pool.query('SELECT COUNT(*) FROM users');
-      diagnostics.database_requests_count = requests.length;
-      diagnostics.database_users_count = parseInt(usersResult.rows[0].count);
-      diagnostics.database_test = 'success';
-    } catch (error) {
-      diagnostics.database_test = 'failed';
-      diagnostics.database_error = error.message;
+    const series = /^\d+$/.test(req.params.id) ? await db.getSeries(req.params.id) : null;
+    const visible = series &&
+      (series.author_id === req.user.id || series.standing_helper_id === req.user.id || hasRole(req.user, 'moderator'));
+
+    if (!visible) {
+      return res.status(404).json({ error: 'Series not found' });
     }
+
+    const occurrences = await db.getSeriesOccurrences(series.id);
+    res.json({ series: formatSeries(series), occurrences });
+
+  } catch (error) {
+    console.error('❌ Get series error:', error);
+    res.status(500).json({ error: 'Failed to get series' });
   }
+});
 
-  res.json(diagnostics);
+// PUT /api/series/:id - Author edits the series content (same fields as
+// PUT /api/requests/:id). Future occurrences and posted ones that haven't
+// started pick up the change. The schedule itself can't be edited; cancel
+// and create a new series instead.
+app.put('/api/series/:id', authenticateToken, rateLimit('create'), async (req, res) => {
+  try {
+    const { changes, error } = parseRequestChanges(req.body);
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const current = /^\d+$/.test(req.params.id) ? await db.getSeries(req.params.id) : null;
+    if (!current) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+    if (current.author_id !== req.user.id) {
+      return res.status(403).json({ error: 'Only the series author can edit this series' });
+    }
+
+    // A series has no moderation hold; a flagged edit is refused outright
+    const { aiAnalysis, moderation } = await analyzeChangedText(current, changes, req.user.id);
+    if (moderation) {
+      return res.status(400).json({
+        error: 'Request flagged',
+        flagged: true,
+        category: moderation.flaggedCategory,
+        reason: moderation.reason,
+        severity: moderation.severity,
+        underReview: false
+      });
+    }
+
+    const { series, changedFields } = await db.updateSeries(current.id, req.user.id, changes, aiAnalysis);
+
+    let updatedOccurrences = 0;
+    if (changedFields.length > 0) {
+      const upcoming = await db.getSeriesOccurrences(series.id, { upcomingOnly: true });
+      for (const occurrence of upcoming) {
+        const result = await db.updateRequest(occurrence.id, req.user.id, changes, { aiAnalysis });
+        if (result.changedFields.length > 0) {
+          updatedOccurrences++;
+          notificationService.notifyRequestUpdated(result.request, result.changedFields).catch(notifyError => {
+            console.error('Update notification error:', notifyError.message);
+          });
+        }
+      }
+    }
+
+    res.json({
+      message: changedFields.length > 0 ? 'Series updated successfully' : 'No changes',
+      changedFields,
+      updatedOccurrences,
+      series: formatSeries(series)
+    });
+
+  } catch (error) {
+    console.error('❌ Update series error:', error);
+    sendSeriesError(res, error, 'Failed to update series');
+  }
 });
 
-// Debug endpoint to check database state
-app.get('/api/debug/requests', authenticateToken, async (req, res) => {
+// POST /api/series/:id/pause|resume|cancel - Author stops posting new
+// occurrences for now, starts again, or ends the series. Cancelling also
+// calls off posted occurrences that haven't started.
+app.post('/api/series/:id/:action(pause|resume|cancel)', authenticateToken, async (req, res) => {
   try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
     if (!databaseConnected) {
-      return res.json({
-        error: 'Database not connected',
-        fallback_requests: fallbackRequests.length,
-        requests: fallbackRequests
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { series, cancelledRequests } = await db.setSeriesStatus(req.params.id, req.user.id, req.params.action);
+
+    for (const request of cancelledRequests) {
+      notificationService.notifyOccurrenceCancelled(request).catch(notifyError => {
+        console.error('Cancellation notification error:', notifyError.message);
       });
     }
 
-    // Check total requests
-    const totalResult = await db.pool.query('SELECT COUNT(*) FROM help_requests');
-    const totalCount = parseInt(totalResult.rows[0].count);
+    res.json({
+      success: true,
+      message: `Series ${series.status}`,
+      cancelledOccurrences: cancelledRequests.map(r => r.id.toString()),
+      series: formatSeries(series)
+    });
 
-    // Check recent requests
-    const recentResult = await db.pool.query(`
-      SELECT id, title, latitude, longitude, status, created_at, author_name
-      FROM help_requests 
-      ORDER BY created_at DESC 
-      LIMIT 10
-    `);
+  } catch (error) {
+    console.error(`❌ Series ${req.params.action} error:`, error);
+    sendSeriesError(res, error, `Failed to ${req.params.action} series`);
+  }
+});
 
-    // Check active requests (same query as getActiveRequests)
-    const activeResult = await db.pool.query(`
-      SELECT r.*, 
-             COALESCE(h.helpers_count, 0) as helpers_count
-      FROM help_requests r
-      LEFT JOIN (
-        SELECT request_id, COUNT(*) as helpers_count
-        FROM help_offers
-        GROUP BY request_id
-      ) h ON r.id = h.request_id
-      WHERE r.created_at > NOW() - INTERVAL '24 hours'
-        AND r.status != 'Cancelled'
-      ORDER BY r.created_at DESC
-    `);
+// POST /api/series/:id/skip - Author skips the next occurrence
+app.post('/api/series/:id/skip', authenticateToken, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
 
-    // Check if coordinates are valid
-    const coordinateCheck = await db.pool.query(`
-      SELECT id, title, latitude, longitude,
-             CASE 
-               WHEN latitude IS NULL THEN 'NULL'
-               WHEN latitude::text = '' THEN 'EMPTY'
-               WHEN latitude = 0 THEN 'ZERO'
-               ELSE 'VALID'
-             END as lat_status,
-             CASE 
-               WHEN longitude IS NULL THEN 'NULL'
-               WHEN longitude::text = '' THEN 'EMPTY'
-               WHEN longitude = 0 THEN 'ZERO'
-               ELSE 'VALID'
-             END as lng_status
-      FROM help_requests 
-      ORDER BY created_at DESC 
-      LIMIT 5
-    `);
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { series, skippedAt, cancelledRequest } = await db.skipSeriesOccurrence(req.params.id, req.user.id);
+
+    if (cancelledRequest) {
+      notificationService.notifyOccurrenceCancelled(cancelledRequest).catch(notifyError => {
+        console.error('Cancellation notification error:', notifyError.message);
+      });
+    }
 
     res.json({
-      database_connected: databaseConnected,
-      total_requests: totalCount,
-      active_requests_count: activeResult.rows.length,
-      recent_requests: recentResult.rows.map(row => ({
-        id: row.id,
-        title: row.title,
-        latitude: row.latitude,
-        longitude: row.longitude,
-        status: row.status,
-        created_at: row.created_at,
-        author_name: row.author_name
-      })),
-      active_requests: activeResult.rows.map(row => ({
-        id: row.id,
-        title: row.title,
-        latitude: parseFloat(row.latitude),
-        longitude: parseFloat(row.longitude),
-        status: row.status,
-        helpers_count: row.helpers_count
-      })),
-      coordinate_validation: coordinateCheck.rows,
-      query_timestamp: new Date().toISOString()
+      success: true,
+      message: 'Occurrence skipped',
+      skippedAt,
+      cancelledRequestId: cancelledRequest ? cancelledRequest.id.toString() : null,
+      series: formatSeries(series)
     });
 
   } catch (error) {
-    console.error('  Debug endpoint error:', error);
-    res.status(500).json({ 
-      error: 'Debug failed',
-      message: error.message,
-      stack: error.stack
+    console.error('❌ Skip occurrence error:', error);
+    sendSeriesError(res, error, 'Failed to skip occurrence');
+  }
+});
+
+// POST /api/series/:id/carry-over - A helper accepted on one of the series'
+// occurrences signs up for the rest; they're accepted on each one as it's
+// posted. 409 if another helper already holds the spot. DELETE stops that
+// (the helper or the author).
+app.post('/api/series/:id/carry-over', authenticateToken, async (req, res) => {
+  try {
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(404).json({ error: 'Series not found' });
+    }
+
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { series, acceptedRequests } = await db.setStandingHelper(req.params.id, req.user.id, req.user.name);
+
+    res.json({
+      success: true,
+      message: 'You will be the helper for later occurrences',
+      acceptedOccurrences: acceptedRequests.map(r => r.id.toString()),
+      series: formatSeries(series)
     });
+
+  } catch (error) {
+    console.error('❌ Series carry-over error:', error);
+    sendSeriesError(res, error, 'Failed to carry over');
   }
 });
 
-// Simplified test endpoint to check basic functionality
-app.get('/api/test-fetch', authenticateToken, async (req, res) => {
+app.delete('/api/series/:id/carry-over', authenticateToken, async (req, res) => {
   try {
-    if (databaseConnected) {
-      const result = await db.pool.query(`
-        SELECT id, title, latitude, longitude, status, created_at
-        FROM help_requests 
-        WHERE status != 'Cancelled'
-        ORDER BY created_at DESC
-        LIMIT 5
-      `);
-      const simpleMapped = result.rows.map(row => ({
-        id: row.id.toString(),
-        title: row.title,
-        latitude: parseFloat(row.latitude),
-        longitude: parseFloat(row.longitude),
-        status: row.status,
-        distance: '0.5mi',
-        duration: '5min',
-        description: 'Test request',
-        contact: 'test@berkeley.edu',
-        urgencyLevel: 'Medium',
-        createdAt: row.created_at,
-        authorName: 'Test User',
-        helpersCount: 0,
-        isCurrentUserHelping: false
-      }));
-      
-      res.json(simpleMapped);
-    } else {
-      res.json([]);
+    if (!/^\d+$/.test(req.params.id)) {
+      return res.status(404).json({ error: 'Series not found' });
     }
-    
+
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const series = await db.clearStandingHelper(req.params.id, req.user.id);
+
+    res.json({
+      success: true,
+      message: 'Standing helper removed',
+      series: formatSeries(series)
+    });
+
   } catch (error) {
-    console.error('  Test fetch error:', error);
-    res.status(500).json({ error: error.message });
+    console.error('❌ Series carry-over removal error:', error);
+    sendSeriesError(res, error, 'Failed to remove standing helper');
+  }
+});
+
+const MAX_CHAT_MESSAGE_LENGTH = 1000;
+// Earlier exchanges sent back to the model with each new message
+const CHAT_CONTEXT_TURNS = 10;
+
+// Returns { message } or { error } for a chat request body
+function parseChatMessage(body) {
+  const message = typeof body.message === 'string' ? body.message.trim() : '';
+
+  if (!message) {
+    return { error: 'Message is required' };
+  }
+
+  if (message.length > MAX_CHAT_MESSAGE_LENGTH) {
+    return { error: `Message must be at most ${MAX_CHAT_MESSAGE_LENGTH} characters` };
+  }
+
+  return { message };
+}
+
+// The user's stats and recent exchanges, for the assistant's context
+async function loadChatContext(user) {
+  let history = [];
+  let stats = { helpCount: 0, requestCount: 0 };
+
+  if (databaseConnected) {
+    [history, stats] = await Promise.all([
+      db.getChatHistory(user.id, CHAT_CONTEXT_TURNS),
+      db.getChatContextStats(user.id)
+    ]);
   }
-});
 
-// Integrate AI
-app.post('/api/create', authenticateToken, async (req, res) => {
+  return {
+    context: {
+      userName: user.name,
+      helpCount: stats.helpCount,
+      requestCount: stats.requestCount
+    },
+    history
+  };
+}
+
+// POST /api/ai/chat - Send a message to the assistant and get its reply
+app.post('/api/ai/chat', authenticateToken, rateLimit('chat'), async (req, res) => {
   try {
-    const { title, description, latitude, longitude, contact, urgencyLevel } = req.body;
-    
-    // Validation
-    if (!title || !description || !latitude || !longitude || !contact) {
-      return res.status(400).json({ 
-        error: 'Missing required fields',
-        details: 'Title, description, location, and contact are required'
-      });
+    const { message, error } = parseChatMessage(req.body);
+    if (error) {
+      return res.status(400).json({ error });
     }
 
-    // SAFETY CHECK FIRST
-    const safetyResult = await aiService.performSafetyCheck(title, description);
-    if (!safetyResult.isSafe) {
-      return res.status(400).json({
-        error: 'Request flagged',
-        flagged: true,
-        category: safetyResult.flaggedCategory,
-        reason: safetyResult.reason,
-        severity: safetyResult.severity
-      });
-    }
+    const { context, history } = await loadChatContext(req.user);
 
-    const aiAnalysis = await aiService.categorizeRequest(title, description, urgencyLevel);
+    const response = await aiService.chatAssistant(message, { ...context, history }, { userId: req.user.id });
 
-    // Create request in database
-    const newRequest = await db.createRequest({
-      title,
-      description,
-      latitude,
-      longitude,
-      contact,
-      urgencyLevel,
-      authorId: req.user.id,
-      authorName: req.user.name,
-      // AI fields
-      aiCategory: aiAnalysis.category,
-      aiCategoryIcon: aiAnalysis.categoryIcon,
-      aiCategoryName: aiAnalysis.categoryName,
-      aiDetectedUrgency: aiAnalysis.detectedUrgency,
-      aiEstimatedTime: aiAnalysis.estimatedTime,
-      aiTags: aiAnalysis.tags,
-      aiSuggestedTitle: aiAnalysis.suggestedTitle,
-      aiSafetyCheck: 'safe', 
-      aiSafetyReason: null
-    });
+    // The canned reply after a failed or over-budget call isn't an exchange
+    // worth keeping, and would be fed back to the model as history
+    if (databaseConnected && response !== aiService.chatFallbackReply) {
+      await db.saveChatInteraction(req.user.id, message, response, context);
+    }
 
-    res.status(201).json({
-      message: 'Request created successfully',
-      request: newRequest
+    res.json({
+      message,
+      response,
+      timestamp: new Date().toISOString()
     });
 
   } catch (error) {
-    console.error('Create request error:', error);
-    res.status(500).json({ 
-      error: 'Failed to create request',
-      message: error.message 
-    });
+    console.error('Chat error:', error);
+    res.status(500).json({ error: 'Failed to get chat response' });
+  }
+});
+
+// POST /api/ai/chat/stream - Same as /api/ai/chat, streamed over SSE:
+// `delta` events with partial text, then `done` with the full reply or `error`
+app.post('/api/ai/chat/stream', authenticateToken, rateLimit('chat'), async (req, res) => {
+  const { message, error } = parseChatMessage(req.body);
+  if (error) {
+    return res.status(400).json({ error });
+  }
+
+  let chat;
+  try {
+    chat = await loadChatContext(req.user);
+  } catch (loadError) {
+    console.error('Chat context error:', loadError);
+    return res.status(500).json({ error: 'Failed to get chat response' });
+  }
+
+  const send = startEventStream(res);
+  const abort = abortOnDisconnect(res);
+
+  try {
+    const response = await aiService.streamChatAssistant(
+      message,
+      { ...chat.context, history: chat.history },
+      text => send('delta', { text }),
+      { userId: req.user.id, signal: abort.signal }
+    );
+
+    if (databaseConnected) {
+      await db.saveChatInteraction(req.user.id, message, response, chat.context);
+    }
+
+    send('done', { message, response, timestamp: new Date().toISOString() });
+  } catch (streamError) {
+    if (!abort.signal.aborted) {
+      console.error('Chat stream error:', streamError.message);
+      send('error', {
+        error: 'The assistant stopped responding',
+        message: streamError.message,
+        fallback: { response: aiService.chatFallbackReply }
+      });
+    }
+  } finally {
+    res.end();
   }
 });
 
@@ -1436,6 +2826,7 @@ app.get('/api/ai/chat-history', authenticateToken, async (req, res) => {
     const history = await db.getChatHistory(req.user.id, limit);
     
     res.json(history.map(h => ({
+      id: h.id.toString(),
       message: h.message,
       response: h.response,
       timestamp: h.created_at
@@ -1447,8 +2838,45 @@ app.get('/api/ai/chat-history', authenticateToken, async (req, res) => {
   }
 });
 
+// DELETE /api/ai/chat-history - Clear the whole conversation
+app.delete('/api/ai/chat-history', authenticateToken, async (req, res) => {
+  try {
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const deleted = await db.clearChatHistory(req.user.id);
+    res.json({ success: true, deleted });
+
+  } catch (error) {
+    console.error('Clear chat history error:', error);
+    res.status(500).json({ error: 'Failed to clear chat history' });
+  }
+});
+
+// DELETE /api/ai/chat-history/:id - Delete one exchange
+app.delete('/api/ai/chat-history/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const deleted = /^\d+$/.test(req.params.id) &&
+      await db.deleteChatInteraction(req.user.id, req.params.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Chat message not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Delete chat message error:', error);
+    res.status(500).json({ error: 'Failed to delete chat message' });
+  }
+});
+
 // POST /api/rephrase - Improve request description with AI
-app.post('/api/rephrase', authenticateToken, async (req, res) => {
+app.post('/api/rephrase', authenticateToken, rateLimit('rephrase'), async (req, res) => {
   try {
     const { title, description } = req.body;
     
@@ -1458,14 +2886,15 @@ app.post('/api/rephrase', authenticateToken, async (req, res) => {
       });
     }
 
-    const improved = await aiService.improveRequest(title, description);
+    const improved = await aiService.improveRequest(title, description, { userId: req.user.id });
     
     res.json({
       originalTitle: title,
       originalDescription: description,
       improvedTitle: improved.improvedTitle,
       improvedDescription: improved.improvedDescription,
-      suggestions: improved.suggestions || []
+      suggestions: improved.suggestions || [],
+      fallbackFields: improved.fallbackFields || []
     });
 
   } catch (error) {
@@ -1477,8 +2906,53 @@ app.post('/api/rephrase', authenticateToken, async (req, res) => {
   }
 });
 
+// POST /api/rephrase/stream - Same as /api/rephrase, streamed over SSE:
+// `delta` events with the model's raw output as it is generated, then `done`
+// with improvedTitle/improvedDescription/suggestions, or `error`
+app.post('/api/rephrase/stream', authenticateToken, rateLimit('rephrase'), async (req, res) => {
+  const { title, description } = req.body;
+
+  if (!title || !description) {
+    return res.status(400).json({ 
+      error: 'Title and description are required' 
+    });
+  }
+
+  const send = startEventStream(res);
+  const abort = abortOnDisconnect(res);
+
+  try {
+    const improved = await aiService.streamImproveRequest(
+      title,
+      description,
+      text => send('delta', { text }),
+      { userId: req.user.id, signal: abort.signal }
+    );
+
+    send('done', {
+      originalTitle: title,
+      originalDescription: description,
+      improvedTitle: improved.improvedTitle,
+      improvedDescription: improved.improvedDescription,
+      suggestions: improved.suggestions || [],
+      fallbackFields: improved.fallbackFields || []
+    });
+  } catch (streamError) {
+    if (!abort.signal.aborted) {
+      console.error('Rephrase stream error:', streamError.message);
+      send('error', {
+        error: 'Rephrasing stopped before it finished',
+        message: streamError.message,
+        fallback: aiService.fallbackImprovement(title, description)
+      });
+    }
+  } finally {
+    res.end();
+  }
+});
+
 // Detect duplicate requests
-app.post('/api/ai/detect-duplicates', authenticateToken, async (req, res) => {
+app.post('/api/ai/detect-duplicates', authenticateToken, rateLimit('detectDuplicates'), async (req, res) => {
   try {
     let requests = [];
     if (databaseConnected) {
@@ -1486,7 +2960,7 @@ app.post('/api/ai/detect-duplicates', authenticateToken, async (req, res) => {
         SELECT id, title, description, ai_category, created_at
         FROM help_requests
         WHERE status = 'Open' 
-          AND created_at > NOW() - INTERVAL '24 hours'
+          AND expires_at > NOW()
         ORDER BY created_at DESC
         LIMIT 50
       `);
@@ -1499,7 +2973,7 @@ app.post('/api/ai/detect-duplicates', authenticateToken, async (req, res) => {
       return res.json({ duplicates: [] });
     }
 
-    const duplicates = await aiService.detectDuplicates(requests);
+    const duplicates = await aiService.detectDuplicates(requests, { userId: req.user.id });
     
     res.json({ 
       duplicates,
@@ -1555,7 +3029,7 @@ app.get('/api/ai/weekly-summary', authenticateToken, async (req, res) => {
       }
     }
 
-    const summary = await aiService.generateWeeklySummary(stats, activities);
+    const summary = await aiService.generateWeeklySummary(stats, activities, { userId: req.user.id });
 
     res.json({
       summary,
@@ -1631,21 +3105,152 @@ app.put('/api/ai/preferences', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/notifications - Current user's notification inbox, newest first
+app.get('/api/notifications', authenticateToken, async (req, res) => {
+  try {
+    const page = parsePageParams(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    if (!databaseConnected) {
+      return res.json({ notifications: [], unreadCount: 0, next_cursor: null });
+    }
+
+    const rows = await db.getNotifications(req.user.id, page);
+    const { items, nextCursor } = buildPage(rows, page.limit);
+    const unreadCount = await db.getUnreadNotificationCount(req.user.id);
+
+    res.json({
+      unreadCount,
+      next_cursor: nextCursor,
+      notifications: items.map(n => ({
+        id: n.id.toString(),
+        type: n.type,
+        body: n.body,
+        requestId: n.request_id ? n.request_id.toString() : null,
+        data: n.data,
+        createdAt: n.created_at,
+        readAt: n.read_at
+      }))
+    });
+
+  } catch (error) {
+    console.error('Get notifications error:', error);
+    res.status(500).json({ error: 'Failed to get notifications' });
+  }
+});
+
+// POST /api/notifications/read-all - Mark every notification read
+app.post('/api/notifications/read-all', authenticateToken, async (req, res) => {
+  try {
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const markedRead = await db.markAllNotificationsRead(req.user.id);
+    res.json({ success: true, markedRead });
+
+  } catch (error) {
+    console.error('Mark all notifications read error:', error);
+    res.status(500).json({ error: 'Failed to mark notifications read' });
+  }
+});
+
+// POST /api/notifications/:id/read - Mark one notification read
+app.post('/api/notifications/:id/read', authenticateToken, async (req, res) => {
+  try {
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const updated = /^\d+$/.test(req.params.id) &&
+      await db.markNotificationRead(req.user.id, req.params.id);
+    if (!updated) {
+      return res.status(404).json({ error: 'Notification not found' });
+    }
+
+    res.json({ success: true });
+
+  } catch (error) {
+    console.error('Mark notification read error:', error);
+    res.status(500).json({ error: 'Failed to mark notification read' });
+  }
+});
+
+// POST /api/devices - Register an APNs device token for the current user
+app.post('/api/devices', authenticateToken, async (req, res) => {
+  try {
+    const { token, environment = 'production' } = req.body;
+
+    if (!token || !/^[0-9a-fA-F]{64,200}$/.test(token)) {
+      return res.status(400).json({ error: 'A hex APNs device token is required' });
+    }
+
+    if (!['production', 'sandbox'].includes(environment)) {
+      return res.status(400).json({ error: 'environment must be production or sandbox' });
+    }
+
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    await db.registerDeviceToken(req.user.id, token.toLowerCase(), environment);
+    res.status(201).json({ success: true, message: 'Device registered' });
+
+  } catch (error) {
+    console.error('Register device error:', error);
+    res.status(500).json({ error: 'Failed to register device' });
+  }
+});
+
+// DELETE /api/devices/:token - Unregister a device (e.g. on sign-out)
+app.delete('/api/devices/:token', authenticateToken, async (req, res) => {
+  try {
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const deleted = await db.deleteDeviceToken(req.params.token.toLowerCase(), req.user.id);
+    if (!deleted) {
+      return res.status(404).json({ error: 'Device not found' });
+    }
+
+    res.json({ success: true, message: 'Device unregistered' });
+
+  } catch (error) {
+    console.error('Unregister device error:', error);
+    res.status(500).json({ error: 'Failed to unregister device' });
+  }
+});
+
 // Filter requests by AI category
+// Paginated newest-first with limit/cursor (next page token in X-Next-Cursor)
 app.get('/api/requests/by-category/:category', authenticateToken, async (req, res) => {
   try {
     const { category } = req.params;
     const userId = req.user.id;
+    const page = parsePageParams(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
 
     if (!databaseConnected) {
       const filtered = fallbackRequests.filter(r => 
         r.status === 'Open' && r.aiCategory === category
       );
-      return res.json(filtered);
+      return res.json(filtered.slice(0, page.limit));
+    }
+
+    const params = [category, userId, page.limit + 1];
+    let cursorCondition = '';
+    if (page.cursor) {
+      params.push(page.cursor.createdAt, page.cursor.id);
+      cursorCondition = 'AND (r.created_at, r.id) < ($4::timestamp, $5::int)';
     }
 
     const result = await db.pool.query(`
-      SELECT r.*, 
+      SELECT r.*, r.created_at::text AS cursor_created_at,
         COALESCE(h.helpers_count, 0) as helpers_count,
         EXISTS(SELECT 1 FROM help_offers WHERE request_id = r.id AND helper_id = $2) as is_current_user_helping
       FROM help_requests r
@@ -1657,11 +3262,17 @@ app.get('/api/requests/by-category/:category', authenticateToken, async (req, re
       WHERE r.ai_category = $1
         AND r.status = 'Open'
         AND r.ai_safety_check = 'safe'
-        AND r.created_at > NOW() - INTERVAL '24 hours'
-      ORDER BY r.created_at DESC
-    `, [category, userId]);
-
-    res.json(result.rows);
+        AND r.expires_at > NOW()
+        ${cursorCondition}
+      ORDER BY r.created_at DESC, r.id DESC
+      LIMIT $3
+    `, params);
+
+    const { items, nextCursor } = buildPage(result.rows, page.limit);
+    if (nextCursor) {
+      res.set('X-Next-Cursor', nextCursor);
+    }
+    res.json(items);
 
   } catch (error) {
     console.error('❌ Category filter error:', error);
@@ -1690,7 +3301,7 @@ app.get('/api/ai/categories', authenticateToken, async (req, res) => {
       FROM help_requests
       WHERE status = 'Open'
         AND ai_safety_check = 'safe'
-        AND created_at > NOW() - INTERVAL '24 hours'
+        AND expires_at > NOW()
       GROUP BY ai_category, ai_category_name, ai_category_icon
       ORDER BY count DESC
     `);
@@ -1710,6 +3321,184 @@ app.get('/api/ai/categories', authenticateToken, async (req, res) => {
   }
 });
 
+// GET /api/admin/moderation - Flagged submissions, newest first (?status=pending|escalated|approved|rejected)
+app.get('/api/admin/moderation', authenticateToken, requireRole('moderator'), async (req, res) => {
+  try {
+    const status = req.query.status || 'pending';
+    if (!['pending', 'escalated', 'approved', 'rejected'].includes(status)) {
+      return res.status(400).json({ error: 'Invalid status' });
+    }
+
+    const page = parsePageParams(req.query);
+    if (page.error) {
+      return res.status(400).json({ error: page.error });
+    }
+
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const rows = await db.getModerationQueue(status, page);
+    const { items, nextCursor } = buildPage(rows, page.limit);
+
+    res.json({
+      next_cursor: nextCursor,
+      items: items.map(item => ({
+        id: item.id.toString(),
+        status: item.status,
+        flaggedCategory: item.flagged_category,
+        severity: item.severity,
+        matchedKeyword: item.matched_keyword,
+        reason: item.reason,
+        flaggedAt: item.created_at,
+        reviewedBy: item.reviewed_by,
+        reviewedAt: item.reviewed_at,
+        notes: item.notes,
+        request: {
+          id: item.request_id.toString(),
+          title: item.title,
+          description: item.description,
+          authorId: item.author_id,
+          authorName: item.author_name,
+          latitude: parseFloat(item.latitude),
+          longitude: parseFloat(item.longitude),
+          category: item.ai_category,
+          createdAt: item.request_created_at
+        }
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ Moderation queue error:', error);
+    res.status(500).json({ error: 'Failed to get moderation queue' });
+  }
+});
+
+// POST /api/admin/moderation/:id/:decision - approve (publish), reject or escalate
+app.post('/api/admin/moderation/:id/:decision(approve|reject|escalate)', authenticateToken, requireRole('moderator'), async (req, res) => {
+  try {
+    const { id, decision } = req.params;
+
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const { item, request } = await db.reviewModerationItem(id, decision, req.user, req.body.notes);
+
+    // Approved requests go out like any new post
+    if (item.status === 'approved') {
+      notificationService.notifyNearbyHelpers(request).catch(notifyError => {
+        console.error('Nearby notification error:', notifyError.message);
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Moderation item ${item.status}`,
+      status: item.status,
+      request
+    });
+
+  } catch (error) {
+    console.error('❌ Moderation decision error:', error);
+    if (error.message.includes('not found')) {
+      res.status(404).json({ error: error.message });
+    } else if (error.message.includes('Only admins')) {
+      res.status(403).json({ error: error.message });
+    } else if (error.message.includes('already')) {
+      res.status(409).json({ error: error.message });
+    } else {
+      res.status(500).json({ error: 'Failed to apply moderation decision' });
+    }
+  }
+});
+
+// PUT /api/admin/users/:id/role - Change a user's role
+app.put('/api/admin/users/:id/role', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of: ${ROLES.join(', ')}` });
+    }
+
+    if (req.params.id === req.user.id && role !== 'admin') {
+      return res.status(400).json({ error: 'You cannot remove your own admin role' });
+    }
+
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const user = await db.setUserRole(req.params.id, role);
+    if (!user) {
+      return res.status(404).json({ error: 'User not found' });
+    }
+
+    res.json({ success: true, user });
+
+  } catch (error) {
+    console.error('❌ Set role error:', error);
+    res.status(500).json({ error: 'Failed to set role' });
+  }
+});
+
+// GET /api/admin/ai-usage - AI spend by method and by day (?days=30), plus budget status
+app.get('/api/admin/ai-usage', authenticateToken, requireRole('admin'), async (req, res) => {
+  try {
+    const days = req.query.days === undefined ? 30 : parseInt(req.query.days);
+    if (isNaN(days) || days < 1 || days > 365) {
+      return res.status(400).json({ error: 'days must be between 1 and 365' });
+    }
+
+    if (!databaseConnected) {
+      return res.status(503).json({ error: 'Database not available' });
+    }
+
+    const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000);
+    const [report, budget] = await Promise.all([
+      db.getAIUsageReport(since.toISOString()),
+      aiService.getBudgetStatus()
+    ]);
+
+    const totals = report.byMethod.reduce((sum, row) => ({
+      calls: sum.calls + parseInt(row.calls),
+      inputTokens: sum.inputTokens + parseInt(row.input_tokens),
+      outputTokens: sum.outputTokens + parseInt(row.output_tokens),
+      estimatedCostUsd: sum.estimatedCostUsd + parseFloat(row.estimated_cost_usd)
+    }), { calls: 0, inputTokens: 0, outputTokens: 0, estimatedCostUsd: 0 });
+
+    res.json({
+      since: since.toISOString(),
+      days,
+      budget,
+      totals,
+      byMethod: report.byMethod.map(row => ({
+        method: row.method,
+        model: row.model,
+        calls: parseInt(row.calls),
+        failures: parseInt(row.failures),
+        fallbacks: parseInt(row.fallbacks),
+        inputTokens: parseInt(row.input_tokens),
+        outputTokens: parseInt(row.output_tokens),
+        avgLatencyMs: row.avg_latency_ms === null ? null : parseInt(row.avg_latency_ms),
+        estimatedCostUsd: parseFloat(row.estimated_cost_usd)
+      })),
+      byDay: report.byDay.map(row => ({
+        day: row.day,
+        calls: parseInt(row.calls),
+        inputTokens: parseInt(row.input_tokens),
+        outputTokens: parseInt(row.output_tokens),
+        estimatedCostUsd: parseFloat(row.estimated_cost_usd)
+      }))
+    });
+
+  } catch (error) {
+    console.error('❌ AI usage report error:', error);
+    res.status(500).json({ error: 'Failed to get AI usage report' });
+  }
+});
+
 // Error handling middleware
 app.use((error, req, res, next) => {
   console.error('Server error:', error.message);
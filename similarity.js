@@ -0,0 +1,80 @@
+// Local text similarity for spotting duplicate requests without an AI call.
+// Requests become TF-IDF vectors over their words (title words count
+// double) and are compared by cosine similarity. IDF comes from the set
+// being compared, so words every nearby request shares ("help", "need")
+// count for little and specific ones ("61a", "midterm") for a lot.
+
+const STOPWORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'but', 'by', 'can', 'for', 'from',
+  'get', 'has', 'have', 'i', 'if', 'in', 'into', 'is', 'it', 'its', 'just', 'me',
+  'my', 'need', 'needs', 'of', 'on', 'or', 'please', 'so', 'some', 'someone',
+  'that', 'the', 'their', 'this', 'to', 'up', 'us', 'was', 'we', 'will', 'with',
+  'would', 'you', 'your', 'help', 'looking', 'anyone', 'any'
+]);
+
+function tokenize(text) {
+  return (text || '')
+    .toLowerCase()
+    .split(/[^a-z0-9]+/)
+    .filter(token => token.length > 1 && !STOPWORDS.has(token));
+}
+
+function termsOf(request) {
+  const titleTerms = tokenize(request.title);
+  return [...titleTerms, ...titleTerms, ...tokenize(request.description)];
+}
+
+function termFrequencies(terms) {
+  const counts = new Map();
+  terms.forEach(term => counts.set(term, (counts.get(term) || 0) + 1));
+  return counts;
+}
+
+function cosine(a, b) {
+  let dot = 0;
+  let normA = 0;
+  let normB = 0;
+  a.forEach((weight, term) => {
+    normA += weight * weight;
+    if (b.has(term)) dot += weight * b.get(term);
+  });
+  b.forEach(weight => {
+    normB += weight * weight;
+  });
+  return normA && normB ? dot / Math.sqrt(normA * normB) : 0;
+}
+
+/**
+ * Rank candidates by similarity to a draft request
+ * @param {Object} draft - { title, description }
+ * @param {Array} candidates - Rows with title and description
+ * @param {Object} options - { threshold, limit }
+ * @returns {Array} [{ request, score }] above the threshold, most similar first
+ */
+function findSimilar(draft, candidates, { threshold = 0.5, limit = 5 } = {}) {
+  if (candidates.length === 0) return [];
+
+  const documents = [draft, ...candidates].map(request => termFrequencies(termsOf(request)));
+
+  const documentFrequency = new Map();
+  documents.forEach(doc => doc.forEach((count, term) => {
+    documentFrequency.set(term, (documentFrequency.get(term) || 0) + 1);
+  }));
+
+  // Smoothed IDF so a term in every document still carries a little weight
+  const idf = term => Math.log((documents.length + 1) / (documentFrequency.get(term) + 1)) + 1;
+  const vectors = documents.map(doc => {
+    const vector = new Map();
+    doc.forEach((count, term) => vector.set(term, count * idf(term)));
+    return vector;
+  });
+
+  const [draftVector, ...candidateVectors] = vectors;
+  return candidates
+    .map((request, i) => ({ request, score: cosine(draftVector, candidateVectors[i]) }))
+    .filter(match => match.score >= threshold)
+    .sort((a, b) => b.score - a.score)
+    .slice(0, limit);
+}
+
+module.exports = { tokenize, findSimilar };
@@ -0,0 +1,136 @@
+// Parsing and validation for JSON replies from the model.
+// Schemas are a small subset of JSON Schema: type (a name or an array of
+// names, including 'null'), enum, properties/required, items,
+// minItems/maxItems, maxLength and minimum/maximum.
+
+// Pull the JSON value out of a reply, tolerating code fences and stray text
+// around it. Throws if there is no parseable JSON.
+function extractJSON(text) {
+  let candidate = (text || '').trim()
+    .replace(/^```(?:json)?\s*/i, '')
+    .replace(/\s*```$/, '');
+
+  try {
+    return JSON.parse(candidate);
+  } catch (error) {
+    // Fall back to the outermost {...} or [...] in the reply
+    const start = candidate.search(/[[{]/);
+    const end = Math.max(candidate.lastIndexOf('}'), candidate.lastIndexOf(']'));
+    if (start === -1 || end <= start) {
+      throw new Error('Reply contains no JSON');
+    }
+    candidate = candidate.slice(start, end + 1);
+    return JSON.parse(candidate);
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  return actual === type || (type === 'number' && actual === 'integer');
+}
+
+/**
+ * Check a value against a schema
+ * @param {Object} schema - Schema as described above
+ * @param {*} value - Parsed JSON
+ * @param {string} path - Path of value, used in error messages
+ * @returns {Array} [{ path, message }], empty when valid
+ */
+function validate(schema, value, path = '') {
+  const types = [].concat(schema.type || []);
+  const label = path || 'reply';
+
+  if (types.length > 0 && !types.some(type => matchesType(value, type))) {
+    return [{ path, message: `${label} must be ${types.join(' or ')}` }];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    return [{ path, message: `${label} must be one of ${schema.enum.map(v => JSON.stringify(v)).join(', ')}` }];
+  }
+
+  const errors = [];
+
+  if (typeof value === 'string' && schema.maxLength && value.length > schema.maxLength) {
+    errors.push({ path, message: `${label} must be at most ${schema.maxLength} characters` });
+  }
+
+  if (typeof value === 'number') {
+    if (schema.minimum !== undefined && value < schema.minimum) {
+      errors.push({ path, message: `${label} must be at least ${schema.minimum}` });
+    }
+    if (schema.maximum !== undefined && value > schema.maximum) {
+      errors.push({ path, message: `${label} must be at most ${schema.maximum}` });
+    }
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) {
+      errors.push({ path, message: `${label} must have at least ${schema.minItems} items` });
+    }
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) {
+      errors.push({ path, message: `${label} must have at most ${schema.maxItems} items` });
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validate(schema.items, item, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object' && schema.properties) {
+    for (const key of schema.required || []) {
+      if (!(key in value)) {
+        errors.push({ path: path ? `${path}.${key}` : key, message: `${path ? path + '.' : ''}${key} is required` });
+      }
+    }
+    for (const [key, propertySchema] of Object.entries(schema.properties)) {
+      if (key in value) {
+        errors.push(...validate(propertySchema, value[key], path ? `${path}.${key}` : key));
+      }
+    }
+  }
+
+  return errors;
+}
+
+// Top-level field or array index an error path belongs to
+function topLevelKey(path) {
+  const match = path.match(/^(\[\d+\]|[^.[]+)/);
+  return match ? match[1] : '';
+}
+
+/**
+ * Keep the valid parts of a reply. Invalid or missing top-level fields of an
+ * object take their value from defaults; invalid items of an array are
+ * dropped. Throws if the reply as a whole has the wrong shape.
+ * @param {Object} schema - Schema of the reply
+ * @param {*} value - Parsed JSON
+ * @param {Array} errors - Errors from validate()
+ * @param {Object} defaults - Default per top-level field, for object replies
+ * @returns {Object} { value, fallbackFields }
+ */
+function repair(schema, value, errors, defaults = {}) {
+  if (errors.some(error => error.path === '')) {
+    throw new Error(errors.find(error => error.path === '').message);
+  }
+
+  const fallbackFields = [...new Set(errors.map(error => topLevelKey(error.path)))];
+
+  if (Array.isArray(value)) {
+    const dropped = new Set(fallbackFields.map(key => parseInt(key.slice(1))));
+    return { value: value.filter((item, i) => !dropped.has(i)), fallbackFields };
+  }
+
+  const repaired = { ...value };
+  for (const key of fallbackFields) {
+    repaired[key] = defaults[key] === undefined ? null : defaults[key];
+  }
+  return { value: repaired, fallbackFields };
+}
+
+module.exports = { extractJSON, validate, repair };